@@ -0,0 +1,389 @@
+import { signal, batch, untrack } from "./signal.js";
+import { hasOwn, STRUCTURE, ARRAY_MUTATORS } from "./utils.js";
+import { transitions } from "./transition.js";
+
+/**
+ * @private
+ * Reads the trigger node stored under a key, creating it on first use, so the
+ * current computation depends on it.
+ *
+ * @param {Map<any, Object>} nodes - Trigger nodes by key
+ * @param {any} key - Key to track
+ * @returns {void}
+ */
+function track(nodes, key) {
+  let node = nodes.get(key);
+  if (!node) nodes.set(key, (node = signal(0)));
+  node.value;
+}
+
+/**
+ * @private
+ * Notifies the computations tracking a key. Keys nobody has read have no node
+ * and cost nothing.
+ *
+ * @param {Map<any, Object>} nodes - Trigger nodes by key
+ * @param {any} key - Key that changed
+ * @returns {void}
+ */
+function trigger(nodes, key) {
+  const node = nodes.get(key);
+  if (node) node.value = node.peek() + 1;
+}
+
+/**
+ * @private
+ * Notifies and forgets the nodes of a removed key. Current subscribers see
+ * the bump and pick up a fresh node when they read the key again.
+ *
+ * @param {Map<any, Object>} nodes - Trigger nodes by key
+ * @param {any} key - Removed key
+ * @returns {void}
+ */
+function release(nodes, key) {
+  trigger(nodes, key);
+  nodes.delete(key);
+}
+
+/**
+ * @private
+ * Throws when a collection is about to change inside a transition. Their
+ * native storage cannot be forked, so a change there would be visible to the
+ * whole app before the transition commits and survive it failing.
+ *
+ * @returns {void}
+ * @throws {Error} If a transition is running
+ */
+function assertNotInTransition() {
+  if (transitions.active) {
+    throw new Error(
+      "[tiny-signal] Reactive collections cannot be changed inside a transition"
+    );
+  }
+}
+
+/**
+ * @public
+ * A `Map` with fine-grained tracking: `get(key)` tracks only that key's
+ * value, `has(key)` tracks only that key's membership, `size` and `keys()`
+ * track which keys exist, and `values()`, `entries()`, `forEach()` and
+ * iteration track every change. Changing it inside a transition throws.
+ *
+ * @template K, V
+ * @extends {Map<K, V>}
+ */
+export class ReactiveMap extends Map {
+  #values = new Map();
+  #has = new Map();
+  #structure = signal(0);
+  #version = signal(0);
+
+  /**
+   * @param {Iterable<[K, V]>|null} [entries] - Initial entries
+   */
+  constructor(entries) {
+    // Native Map calls this.set() for the entries before fields exist
+    super();
+    if (entries) for (const [key, value] of entries) super.set(key, value);
+  }
+
+  get size() {
+    this.#structure.value;
+    return super.size;
+  }
+
+  /** @param {K} key */
+  get(key) {
+    track(this.#values, key);
+    return super.get(key);
+  }
+
+  /** @param {K} key */
+  has(key) {
+    track(this.#has, key);
+    return super.has(key);
+  }
+
+  /**
+   * @param {K} key
+   * @param {V} value
+   */
+  set(key, value) {
+    const had = super.has(key);
+    if (had && Object.is(super.get(key), value)) return this;
+    assertNotInTransition();
+    super.set(key, value);
+    batch(() => {
+      trigger(this.#values, key);
+      if (!had) {
+        trigger(this.#has, key);
+        this.#structure.value = this.#structure.peek() + 1;
+      }
+      this.#version.value = this.#version.peek() + 1;
+    });
+    return this;
+  }
+
+  /** @param {K} key */
+  delete(key) {
+    if (!super.has(key)) return false;
+    assertNotInTransition();
+    super.delete(key);
+    batch(() => {
+      release(this.#values, key);
+      release(this.#has, key);
+      this.#structure.value = this.#structure.peek() + 1;
+      this.#version.value = this.#version.peek() + 1;
+    });
+    return true;
+  }
+
+  clear() {
+    if (!super.size) return;
+    assertNotInTransition();
+    const keys = [...super.keys()];
+    super.clear();
+    batch(() => {
+      for (const key of keys) {
+        release(this.#values, key);
+        release(this.#has, key);
+      }
+      this.#structure.value = this.#structure.peek() + 1;
+      this.#version.value = this.#version.peek() + 1;
+    });
+  }
+
+  keys() {
+    this.#structure.value;
+    return super.keys();
+  }
+
+  values() {
+    this.#version.value;
+    return super.values();
+  }
+
+  entries() {
+    this.#version.value;
+    return super.entries();
+  }
+
+  /**
+   * @param {(value: V, key: K, map: Map<K, V>) => void} callback
+   * @param {any} [thisArg]
+   */
+  forEach(callback, thisArg) {
+    this.#version.value;
+    super.forEach(callback, thisArg);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * @public
+ * A `Set` with fine-grained tracking: `has(value)` tracks only that value's
+ * membership, while `size` and iteration track every addition and deletion.
+ * Changing it inside a transition throws.
+ *
+ * @template T
+ * @extends {Set<T>}
+ */
+export class ReactiveSet extends Set {
+  #has = new Map();
+  #structure = signal(0);
+
+  /**
+   * @param {Iterable<T>|null} [values] - Initial values
+   */
+  constructor(values) {
+    // Native Set calls this.add() for the values before fields exist
+    super();
+    if (values) for (const value of values) super.add(value);
+  }
+
+  get size() {
+    this.#structure.value;
+    return super.size;
+  }
+
+  /** @param {T} value */
+  has(value) {
+    track(this.#has, value);
+    return super.has(value);
+  }
+
+  /** @param {T} value */
+  add(value) {
+    if (super.has(value)) return this;
+    assertNotInTransition();
+    super.add(value);
+    batch(() => {
+      trigger(this.#has, value);
+      this.#structure.value = this.#structure.peek() + 1;
+    });
+    return this;
+  }
+
+  /** @param {T} value */
+  delete(value) {
+    if (!super.has(value)) return false;
+    assertNotInTransition();
+    super.delete(value);
+    batch(() => {
+      release(this.#has, value);
+      this.#structure.value = this.#structure.peek() + 1;
+    });
+    return true;
+  }
+
+  clear() {
+    if (!super.size) return;
+    assertNotInTransition();
+    const values = [...super.values()];
+    super.clear();
+    batch(() => {
+      for (const value of values) release(this.#has, value);
+      this.#structure.value = this.#structure.peek() + 1;
+    });
+  }
+
+  keys() {
+    return this.values();
+  }
+
+  values() {
+    this.#structure.value;
+    return super.values();
+  }
+
+  entries() {
+    this.#structure.value;
+    return super.entries();
+  }
+
+  /**
+   * @param {(value: T, key: T, set: Set<T>) => void} callback
+   * @param {any} [thisArg]
+   */
+  forEach(callback, thisArg) {
+    this.#structure.value;
+    super.forEach(callback, thisArg);
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+}
+
+// Each call of a mutating method runs as one batch, and untracked since it
+// reads the indices it moves
+const arrayMutators = {};
+for (const name of ARRAY_MUTATORS) {
+  arrayMutators[name] = function (...args) {
+    return untrack(() => batch(() => Array.prototype[name].apply(this, args)));
+  };
+}
+
+// Raw array → Map<index | "length" | STRUCTURE, node>
+const arrayNodes = new WeakMap();
+
+/**
+ * @private
+ * Returns the trigger nodes of a raw array, creating the map on first use.
+ *
+ * @param {Array<any>} target - Raw array
+ * @returns {Map<any, Object>} Trigger nodes by key
+ */
+function nodesOf(target) {
+  let nodes = arrayNodes.get(target);
+  if (!nodes) arrayNodes.set(target, (nodes = new Map()));
+  return nodes;
+}
+
+const arrayHandler = {
+  get(target, key, receiver) {
+    if (typeof key === "symbol") return Reflect.get(target, key, receiver);
+    if (hasOwn(arrayMutators, key)) return arrayMutators[key];
+    // Only indices, length and missing keys are tracked, not array methods
+    if (hasOwn(target, key) || !(key in target)) track(nodesOf(target), key);
+    return Reflect.get(target, key, receiver);
+  },
+
+  set(target, key, value) {
+    const prevLength = target.length;
+    const had = hasOwn(target, key);
+    const prev = target[key];
+    if (!had || !Object.is(prev, value)) assertNotInTransition();
+    target[key] = value;
+
+    const nodes = arrayNodes.get(target);
+    if (!nodes) return true;
+    batch(() => {
+      if (key === "length") {
+        // Indices cut off by a shorter length are never set one by one
+        for (let i = target.length; i < prevLength; i++) {
+          trigger(nodes, String(i));
+        }
+      } else if (!had || !Object.is(prev, value)) {
+        trigger(nodes, key);
+      }
+      if (target.length !== prevLength) trigger(nodes, "length");
+      if (!had || target.length < prevLength) trigger(nodes, STRUCTURE);
+    });
+    return true;
+  },
+
+  deleteProperty(target, key) {
+    if (!hasOwn(target, key)) return true;
+    assertNotInTransition();
+    delete target[key];
+    const nodes = arrayNodes.get(target);
+    if (nodes) {
+      batch(() => {
+        trigger(nodes, key);
+        trigger(nodes, STRUCTURE);
+      });
+    }
+    return true;
+  },
+
+  has(target, key) {
+    if (typeof key !== "symbol") track(nodesOf(target), key);
+    return key in target;
+  },
+
+  ownKeys(target) {
+    track(nodesOf(target), STRUCTURE);
+    return Reflect.ownKeys(target);
+  },
+};
+
+/**
+ * @public
+ * An `Array` with fine-grained tracking: reading an index tracks only that
+ * index, `length` tracks the length, and iterating keys tracks added and
+ * removed indices. Writes notify only the indices whose value changed, and
+ * mutating methods such as `push` and `splice` run as a single batch.
+ * Methods that return new arrays, like `map` and `filter`, return plain
+ * arrays. Elements are not made reactive. Changing it inside a transition
+ * throws.
+ *
+ * @template T
+ * @extends {Array<T>}
+ */
+export class ReactiveArray extends Array {
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  /**
+   * @param {...T} items - Initial items, or a single length like `Array`
+   */
+  constructor(...items) {
+    super(...items);
+    return new Proxy(this, arrayHandler);
+  }
+}
@@ -0,0 +1,297 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  effect,
+  computed,
+  batch,
+  signal,
+  setErrorReporter,
+  startTransition,
+} from "./signal.js";
+import { ReactiveMap, ReactiveSet, ReactiveArray } from "./collections.js";
+
+describe("ReactiveMap", () => {
+  it("should behave like a native Map", () => {
+    const map = new ReactiveMap([["a", 1]]);
+    map.set("b", 2);
+
+    expect(map).toBeInstanceOf(Map);
+    expect(map.get("a")).toBe(1);
+    expect(map.size).toBe(2);
+    expect([...map]).toEqual([
+      ["a", 1],
+      ["b", 2],
+    ]);
+    expect(map.delete("a")).toBe(true);
+    expect(map.delete("a")).toBe(false);
+    expect(map.set("c", 3)).toBe(map);
+  });
+
+  it("should track only the key read by get", () => {
+    const map = new ReactiveMap([
+      ["a", 1],
+      ["b", 2],
+    ]);
+    const fn = vi.fn(() => map.get("a"));
+    effect(fn);
+
+    map.set("b", 20);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    map.set("a", 10);
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveLastReturnedWith(10);
+
+    map.set("a", 10);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should track membership with has", () => {
+    const map = new ReactiveMap();
+    const fn = vi.fn(() => map.has("a"));
+    effect(fn);
+
+    map.set("b", 1);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    map.set("a", 1);
+    expect(fn).toHaveLastReturnedWith(true);
+
+    // Changing the value keeps membership unchanged
+    map.set("a", 2);
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    map.delete("a");
+    expect(fn).toHaveLastReturnedWith(false);
+
+    map.set("a", 3);
+    expect(fn).toHaveLastReturnedWith(true);
+  });
+
+  it("should track structure with size and keys", () => {
+    const map = new ReactiveMap([["a", 1]]);
+    const size = vi.fn(() => map.size);
+    const values = computed(() => [...map.values()]);
+    effect(size);
+
+    map.set("a", 2);
+    expect(size).toHaveBeenCalledTimes(1);
+    expect(values.value).toEqual([2]);
+
+    map.set("b", 3);
+    expect(size).toHaveLastReturnedWith(2);
+    expect(values.value).toEqual([2, 3]);
+
+    map.clear();
+    expect(size).toHaveLastReturnedWith(0);
+    expect(values.value).toEqual([]);
+  });
+
+  it("should notify get readers when cleared", () => {
+    const map = new ReactiveMap([["a", 1]]);
+    const value = computed(() => map.get("a"));
+    expect(value.value).toBe(1);
+
+    map.clear();
+    expect(value.value).toBeUndefined();
+
+    map.set("a", 2);
+    expect(value.value).toBe(2);
+  });
+});
+
+describe("ReactiveSet", () => {
+  it("should behave like a native Set", () => {
+    const set = new ReactiveSet([1, 2, 2]);
+
+    expect(set).toBeInstanceOf(Set);
+    expect(set.size).toBe(2);
+    expect([...set]).toEqual([1, 2]);
+    expect(set.add(3)).toBe(set);
+    expect(set.delete(1)).toBe(true);
+    expect([...set.entries()]).toEqual([
+      [2, 2],
+      [3, 3],
+    ]);
+  });
+
+  it("should track membership of a single value", () => {
+    const set = new ReactiveSet();
+    const fn = vi.fn(() => set.has("a"));
+    effect(fn);
+
+    set.add("b");
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    set.add("a");
+    expect(fn).toHaveLastReturnedWith(true);
+
+    set.add("a");
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    set.clear();
+    expect(fn).toHaveLastReturnedWith(false);
+  });
+
+  it("should track size and iteration", () => {
+    const set = new ReactiveSet([1]);
+    const items = computed(() => [...set]);
+    const size = computed(() => set.size);
+
+    set.add(2);
+    expect(items.value).toEqual([1, 2]);
+    expect(size.value).toBe(2);
+
+    set.delete(1);
+    expect(items.value).toEqual([2]);
+    expect(size.value).toBe(1);
+  });
+});
+
+describe("ReactiveArray", () => {
+  it("should behave like a native Array", () => {
+    const list = new ReactiveArray(1, 2, 3);
+
+    expect(Array.isArray(list)).toBe(true);
+    expect(list).toBeInstanceOf(ReactiveArray);
+    expect(list.length).toBe(3);
+    expect(new ReactiveArray(2).length).toBe(2);
+    expect(ReactiveArray.from([1, 2])).toEqual([1, 2]);
+
+    const doubled = list.map((x) => x * 2);
+    expect(doubled).toEqual([2, 4, 6]);
+    expect(doubled).not.toBeInstanceOf(ReactiveArray);
+  });
+
+  it("should track only the index that is read", () => {
+    const list = new ReactiveArray("a", "b");
+    const fn = vi.fn(() => list[0]);
+    effect(fn);
+
+    list[1] = "c";
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    list[0] = "z";
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveLastReturnedWith("z");
+  });
+
+  it("should notify length and index readers on push in one batch", () => {
+    const list = ReactiveArray.of(1);
+    const first = vi.fn(() => list[0]);
+    const third = vi.fn(() => list[2]);
+    const length = vi.fn(() => list.length);
+    const sum = vi.fn(() => list.reduce((a, b) => a + b, 0));
+    effect(first);
+    effect(third);
+    effect(length);
+    effect(sum);
+
+    list.push(2, 3);
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(third).toHaveBeenCalledTimes(2);
+    expect(third).toHaveLastReturnedWith(3);
+    expect(length).toHaveBeenCalledTimes(2);
+    expect(sum).toHaveBeenCalledTimes(2);
+    expect(sum).toHaveLastReturnedWith(6);
+  });
+
+  it("should not track the reads mutating methods make", () => {
+    const list = ReactiveArray.of();
+    const input = signal("");
+    const runs = vi.fn();
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    effect(() => {
+      runs();
+      if (input.value) list.push(input.value);
+    });
+
+    input.value = "a";
+    input.value = "b";
+    setErrorReporter(null);
+    expect(reporter).not.toHaveBeenCalled();
+    expect([...list]).toEqual(["a", "b"]);
+    expect(runs).toHaveBeenCalledTimes(3);
+  });
+
+  it("should notify only shifted indices on splice", () => {
+    const list = new ReactiveArray("a", "b", "c", "d");
+    const first = vi.fn(() => list[0]);
+    const third = vi.fn(() => list[2]);
+    const last = vi.fn(() => list[3]);
+    effect(first);
+    effect(third);
+    effect(last);
+
+    list.splice(1, 1);
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(third).toHaveLastReturnedWith("d");
+    expect(last).toHaveLastReturnedWith(undefined);
+    expect([...list]).toEqual(["a", "c", "d"]);
+  });
+
+  it("should track keys when iterating with Object.keys", () => {
+    const list = ReactiveArray.of(1);
+    const keys = computed(() => Object.keys(list));
+
+    list.push(2);
+    expect(keys.value).toEqual(["0", "1"]);
+
+    list.length = 0;
+    expect(keys.value).toEqual([]);
+  });
+
+  it("should group writes in a batch", () => {
+    const list = new ReactiveArray(1, 2);
+    const fn = vi.fn(() => list[0] + list[1]);
+    effect(fn);
+
+    batch(() => {
+      list[0] = 10;
+      list[1] = 20;
+    });
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveLastReturnedWith(30);
+  });
+});
+
+describe("transitions", () => {
+  it("should reject changes made inside a transition", async () => {
+    const map = new ReactiveMap([["a", 1]]);
+    const set = new ReactiveSet([1]);
+    const list = ReactiveArray.of(1);
+    const changes = [
+      () => map.set("b", 2),
+      () => map.delete("a"),
+      () => map.clear(),
+      () => set.add(2),
+      () => set.delete(1),
+      () => set.clear(),
+      () => list.push(2),
+      () => (list[0] = 2),
+      () => delete list[0],
+    ];
+
+    for (const change of changes) {
+      await expect(startTransition(change)).rejects.toThrow(
+        "cannot be changed inside a transition"
+      );
+    }
+    expect([...map]).toEqual([["a", 1]]);
+    expect([...set]).toEqual([1]);
+    expect([...list]).toEqual([1]);
+  });
+
+  it("should allow reads and writes that change nothing", async () => {
+    const map = new ReactiveMap([["a", 1]]);
+    const set = new ReactiveSet([1]);
+
+    await startTransition(() => {
+      map.set("a", 1);
+      map.delete("b");
+      set.add(1);
+      expect(ReactiveArray.of(1, 2).length).toBe(2);
+      expect(map.get("a")).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+import { USER_EFFECT, DISPOSED, ERROR, NODE } from "./node.js";
+
+/**
+ * @private
+ * Returns the graph node behind a public handle.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {Object} Graph node
+ * @throws {TypeError} If the value is not a reactive handle
+ */
+function nodeOf(handle) {
+  const node = handle != null ? handle[NODE] : undefined;
+  if (!node) {
+    throw new TypeError(
+      "[tiny-signal] Expected a signal, computed, memo or effect"
+    );
+  }
+  return node;
+}
+
+/**
+ * @private
+ * Returns the kind of a graph node.
+ *
+ * @param {Object} node - Graph node
+ * @returns {'signal'|'computed'|'effect'} Kind of the node
+ */
+function kindOf(node) {
+  if (!node.fn) return "signal";
+  return node.flags & USER_EFFECT ? "effect" : "computed";
+}
+
+/**
+ * @public
+ * Returns the signals and computeds a computed, memo or effect read on its
+ * last run. Signals have no sources. Reading the graph does not run or track
+ * anything.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {Array<Object|Function>} Handles of the sources
+ */
+export function getSources(handle) {
+  const node = nodeOf(handle);
+  if (!node.deps) return [];
+  return Array.from(node.deps.keys(), (source) => source.handle);
+}
+
+/**
+ * @public
+ * Returns the computeds, memos and effects that read a signal or computed on
+ * their last run. Effects have no observers.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {Array<Object|Function>} Handles of the observers
+ */
+export function getObservers(handle) {
+  const node = nodeOf(handle);
+  if (!node.subs) return [];
+  return Array.from(node.subs, (observer) => observer.handle);
+}
+
+/**
+ * @public
+ * Returns the `name` option a node was created with.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {string|undefined} Name of the node
+ */
+export function getName(handle) {
+  return nodeOf(handle).name;
+}
+
+/**
+ * @public
+ * Returns whether a handle is a signal, a computed (or memo) or an effect.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {'signal'|'computed'|'effect'} Kind of the node
+ */
+export function getKind(handle) {
+  return kindOf(nodeOf(handle));
+}
+
+/**
+ * @public
+ * Returns how many times a computed, memo or effect has run, or how many
+ * writes changed a signal.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {number} Run or write count
+ */
+export function getRunCount(handle) {
+  return nodeOf(handle).runs;
+}
+
+/**
+ * @public
+ * Returns when a computed, memo or effect last ran, or when a signal was last
+ * changed. The clock is read once per batch, so everything that ran or
+ * changed in the same batch shares one timestamp.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {number|null} Timestamp in milliseconds since the epoch, or null
+ *   if it never ran or changed
+ */
+export function getLastRun(handle) {
+  return nodeOf(handle).lastRun || null;
+}
+
+/**
+ * @public
+ * Explains why a computed, memo or effect last ran: the traced writes that
+ * marked it since its previous run. Each cause names the written signal, its
+ * old and new value, where the write was made, and the computeds it travelled
+ * through, nearest to the signal first. Causes of one `batch()` share a batch
+ * ID. Only writes made while `enableTracing()` was on are recorded; the first
+ * run has no causes.
+ *
+ * @param {Object|Function} handle - Computed, memo or effect
+ * @returns {Array<{
+ *   id: number,
+ *   batch: number,
+ *   signal: Object,
+ *   name: string|undefined,
+ *   prevValue: any,
+ *   value: any,
+ *   location: string|null,
+ *   through: Array<Object|Function>
+ * }>} Writes behind the last run, in write order
+ * @throws {TypeError} If the handle is a signal
+ */
+export function whyDidThisRun(handle) {
+  const node = nodeOf(handle);
+  if (!node.fn) {
+    throw new TypeError("[tiny-signal] Expected a computed, memo or effect");
+  }
+  return node.causes ? node.causes.slice() : [];
+}
+
+/**
+ * @public
+ * Captures the part of the live graph connected to the given nodes, following
+ * sources and observers in both directions. The result is plain data that can
+ * be serialized with `JSON.stringify`, `toDot` or `toMermaid`. Edges point
+ * from a source to the node reading it.
+ *
+ * @param {Object|Function|Array<Object|Function>} roots - Handles to start
+ *   from
+ * @returns {{
+ *   nodes: Array<{
+ *     id: string,
+ *     kind: 'signal'|'computed'|'effect',
+ *     name: string|null,
+ *     runs: number,
+ *     lastRun: number|null,
+ *     disposed: boolean,
+ *     error: boolean
+ *   }>,
+ *   edges: Array<{from: string, to: string}>
+ * }} Graph snapshot
+ * @throws {TypeError} If no roots are given, or one is not a reactive handle
+ */
+export function graphSnapshot(roots) {
+  if (roots === undefined) {
+    throw new TypeError(
+      "[tiny-signal] graphSnapshot() expects the nodes to start from"
+    );
+  }
+
+  // Node → id, in breadth-first order from the roots
+  const ids = new Map();
+  const visit = (node) => {
+    if (!ids.has(node)) ids.set(node, `n${ids.size}`);
+  };
+
+  for (const root of [].concat(roots)) visit(nodeOf(root));
+  // Nodes visited during the loop are appended and picked up by it
+  for (const node of ids.keys()) {
+    if (node.deps) for (const source of node.deps.keys()) visit(source);
+    if (node.subs) for (const observer of node.subs) visit(observer);
+  }
+
+  const nodes = [];
+  const edges = [];
+  for (const [node, id] of ids) {
+    nodes.push({
+      id,
+      kind: kindOf(node),
+      name: node.name ?? null,
+      runs: node.runs,
+      lastRun: node.lastRun || null,
+      disposed: !!(node.flags & DISPOSED),
+      error: !!(node.flags & ERROR),
+    });
+    if (node.deps) {
+      for (const source of node.deps.keys()) {
+        edges.push({ from: ids.get(source), to: id });
+      }
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * @private
+ * Label of a snapshot node, such as `computed: total`.
+ *
+ * @param {{kind: string, name: string|null}} node - Snapshot node
+ * @returns {string} Label
+ */
+function labelOf(node) {
+  return node.name ? `${node.kind}: ${node.name}` : node.kind;
+}
+
+/**
+ * @public
+ * Serializes a graph snapshot to Graphviz DOT. Signals are drawn as ellipses,
+ * computeds as boxes and effects as hexagons.
+ *
+ * @param {ReturnType<typeof graphSnapshot>} snapshot - Graph snapshot
+ * @returns {string} DOT source
+ */
+export function toDot(snapshot) {
+  const shapes = { signal: "ellipse", computed: "box", effect: "hexagon" };
+  const lines = ["digraph {"];
+  for (const node of snapshot.nodes) {
+    const label = labelOf(node).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    lines.push(`  ${node.id} [label="${label}", shape=${shapes[node.kind]}];`);
+  }
+  for (const edge of snapshot.edges) {
+    lines.push(`  ${edge.from} -> ${edge.to};`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * @public
+ * Serializes a graph snapshot to a Mermaid flowchart. Signals are drawn as
+ * stadiums, computeds as rectangles and effects as hexagons.
+ *
+ * @param {ReturnType<typeof graphSnapshot>} snapshot - Graph snapshot
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(snapshot) {
+  const shapes = {
+    signal: ["([", "])"],
+    computed: ["[", "]"],
+    effect: ["{{", "}}"],
+  };
+  const lines = ["flowchart LR"];
+  for (const node of snapshot.nodes) {
+    const [open, close] = shapes[node.kind];
+    const label = labelOf(node).replace(/"/g, "#quot;");
+    lines.push(`  ${node.id}${open}"${label}"${close}`);
+  }
+  for (const edge of snapshot.edges) {
+    lines.push(`  ${edge.from} --> ${edge.to}`);
+  }
+  return lines.join("\n");
+}
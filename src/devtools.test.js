@@ -0,0 +1,276 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  signal,
+  computed,
+  memo,
+  effect,
+  batch,
+  enableTracing,
+} from "./signal.js";
+import {
+  getSources,
+  getObservers,
+  getName,
+  getKind,
+  getRunCount,
+  getLastRun,
+  graphSnapshot,
+  toDot,
+  toMermaid,
+  whyDidThisRun,
+} from "./devtools.js";
+import { store } from "./store.js";
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// count → double → logger effect, with an unrelated signal
+function createGraph() {
+  const count = signal(1, { name: "count" });
+  const other = signal(0, { name: "other" });
+  const double = computed(() => count.value * 2, { name: "double" });
+  const logger = effect(() => double.value, { name: "logger" });
+  return { count, other, double, logger };
+}
+
+describe("devtools", () => {
+  it("should return sources and observers as handles", () => {
+    const { count, double, logger } = createGraph();
+
+    expect(getSources(double)).toEqual([count]);
+    expect(getSources(logger)).toEqual([double]);
+    expect(getSources(count)).toEqual([]);
+
+    expect(getObservers(count)).toEqual([double]);
+    expect(getObservers(double)).toEqual([logger]);
+    expect(getObservers(logger)).toEqual([]);
+  });
+
+  it("should follow dependency changes", () => {
+    const a = signal(1);
+    const b = signal(2);
+    const useA = signal(true);
+    const pick = computed(() => (useA.value ? a.value : b.value));
+    pick.value;
+    expect(getSources(pick)).toEqual([useA, a]);
+
+    useA.value = false;
+    pick.value;
+    expect(getSources(pick)).toEqual([useA, b]);
+    expect(getObservers(a)).toEqual([]);
+  });
+
+  it("should return names and kinds", () => {
+    const { count, double, logger } = createGraph();
+    const m = memo(() => count.value);
+
+    expect(getName(count)).toBe("count");
+    expect(getName(double)).toBe("double");
+    expect(getName(m)).toBeUndefined();
+    expect(getKind(count)).toBe("signal");
+    expect(getKind(double)).toBe("computed");
+    expect(getKind(m)).toBe("computed");
+    expect(getKind(logger)).toBe("effect");
+  });
+
+  it("should count runs and writes with their last time", () => {
+    vi.useFakeTimers({ now: 1000 });
+    const { count, double, logger } = createGraph();
+
+    expect(getRunCount(logger)).toBe(1);
+    expect(getRunCount(double)).toBe(1);
+    expect(getRunCount(count)).toBe(0);
+    expect(getLastRun(count)).toBeNull();
+    expect(getLastRun(logger)).toBe(1000);
+
+    vi.setSystemTime(2000);
+    count.value = 2;
+    count.value = 2; // equal writes are not counted
+    expect(getRunCount(count)).toBe(1);
+    expect(getRunCount(logger)).toBe(2);
+    expect(getLastRun(count)).toBe(2000);
+    expect(getLastRun(double)).toBe(2000);
+  });
+
+  it("should read the clock once per batch", () => {
+    vi.useFakeTimers({ now: 1000 });
+    const { count, double, logger } = createGraph();
+    const clock = vi.spyOn(Date, "now");
+
+    batch(() => {
+      count.value = 2;
+      vi.setSystemTime(5000);
+      count.value = 3;
+    });
+    expect(clock).toHaveBeenCalledTimes(1);
+    clock.mockRestore();
+    expect(getLastRun(count)).toBe(1000);
+    expect(getLastRun(double)).toBe(1000);
+    expect(getLastRun(logger)).toBe(1000);
+  });
+
+  it("should not run or track anything when inspecting", () => {
+    const count = signal(1);
+    const fn = vi.fn(() => count.value);
+    const lazy = computed(fn);
+
+    expect(getSources(lazy)).toEqual([]);
+    expect(getRunCount(lazy)).toBe(0);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it("should reject values that are not reactive handles", () => {
+    expect(() => getSources({})).toThrow(TypeError);
+    expect(() => getName(null)).toThrow(TypeError);
+  });
+
+  it("should snapshot the connected graph as JSON", () => {
+    const { count, other } = createGraph();
+    const snapshot = graphSnapshot(count);
+
+    expect(snapshot.nodes.map((node) => node.name)).toEqual([
+      "count",
+      "double",
+      "logger",
+    ]);
+    expect(snapshot.nodes[0]).toMatchObject({
+      id: "n0",
+      kind: "signal",
+      runs: 0,
+      disposed: false,
+      error: false,
+    });
+    expect(snapshot.edges).toEqual([
+      { from: "n0", to: "n1" },
+      { from: "n1", to: "n2" },
+    ]);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+
+    const both = graphSnapshot([count, other]);
+    expect(both.nodes).toHaveLength(4);
+  });
+
+  it("should require the nodes to start from", () => {
+    expect(() => graphSnapshot()).toThrow(TypeError);
+  });
+
+  it("should flag computeds holding an error", () => {
+    const fail = computed(() => {
+      throw new Error("boom");
+    });
+    expect(() => fail.value).toThrow("boom");
+    expect(graphSnapshot(fail).nodes[0].error).toBe(true);
+  });
+
+  it("should export DOT", () => {
+    const { count } = createGraph();
+    expect(toDot(graphSnapshot(count))).toBe(
+      [
+        "digraph {",
+        '  n0 [label="signal: count", shape=ellipse];',
+        '  n1 [label="computed: double", shape=box];',
+        '  n2 [label="effect: logger", shape=hexagon];',
+        "  n0 -> n1;",
+        "  n1 -> n2;",
+        "}",
+      ].join("\n")
+    );
+  });
+
+  it("should export Mermaid", () => {
+    const { count } = createGraph();
+    expect(toMermaid(graphSnapshot(count))).toBe(
+      [
+        "flowchart LR",
+        '  n0(["signal: count"])',
+        '  n1["computed: double"]',
+        '  n2{{"effect: logger"}}',
+        "  n0 --> n1",
+        "  n1 --> n2",
+      ].join("\n")
+    );
+  });
+
+  it("should escape quotes in labels", () => {
+    const s = signal(0, { name: 'say "hi"' });
+    const snapshot = graphSnapshot(s);
+    expect(toDot(snapshot)).toContain('label="signal: say \\"hi\\""');
+    expect(toMermaid(snapshot)).toContain('"signal: say #quot;hi#quot;"');
+  });
+});
+
+describe("causality tracing", () => {
+  afterEach(() => enableTracing(false));
+
+  it("should explain an effect run by the write behind it", () => {
+    enableTracing();
+    const { count, double, logger } = createGraph();
+    expect(whyDidThisRun(logger)).toEqual([]);
+
+    count.value = 2;
+    const [cause] = whyDidThisRun(logger);
+    expect(cause).toMatchObject({
+      signal: count,
+      name: "count",
+      prevValue: 1,
+      value: 2,
+      through: [double],
+    });
+    expect(cause.id).toEqual(expect.any(Number));
+    expect(cause.location).toContain("devtools.test.js");
+    expect(whyDidThisRun(double)[0]).toMatchObject({ id: cause.id });
+  });
+
+  it("should list every write of a batch with one batch ID", () => {
+    enableTracing();
+    const a = signal(0, { name: "a" });
+    const b = signal(0, { name: "b" });
+    const sum = effect(() => a.value + b.value);
+
+    batch(() => {
+      a.value = 1;
+      b.value = 1;
+      a.value = 2;
+    });
+    const causes = whyDidThisRun(sum);
+    expect(causes.map((c) => [c.name, c.prevValue, c.value])).toEqual([
+      ["a", 0, 1],
+      ["b", 0, 1],
+      ["a", 1, 2],
+    ]);
+    expect(new Set(causes.map((c) => c.batch)).size).toBe(1);
+  });
+
+  it("should forget writes that did not change what a node reads", () => {
+    enableTracing();
+    const n = signal(1, { name: "n" });
+    const m = signal(0, { name: "m" });
+    const positive = computed(() => n.value > 0);
+    const runs = effect(() => positive.value + m.value);
+
+    n.value = 2; // positive stays true, so the effect does not run
+    m.value = 1;
+    expect(whyDidThisRun(runs).map((c) => c.name)).toEqual(["m"]);
+  });
+
+  it("should locate writes made through other modules at their caller", () => {
+    enableTracing();
+    const state = store({ list: [] });
+    const length = effect(() => state.list.length);
+
+    state.list.push(1);
+    const [cause] = whyDidThisRun(length);
+    expect(cause.location).toContain("devtools.test.js");
+  });
+
+  it("should record nothing while tracing is off", () => {
+    const { count, logger } = createGraph();
+    count.value = 2;
+    expect(whyDidThisRun(logger)).toEqual([]);
+  });
+
+  it("should reject signals", () => {
+    expect(() => whyDidThisRun(signal(0))).toThrow(TypeError);
+  });
+});
@@ -1,2 +1,9 @@
 export * from "./signal.js";
 export * from "./middlewares.js";
+export * from "./resource.js";
+export * from "./store.js";
+export * from "./collections.js";
+export * from "./devtools.js";
+export * from "./storage.js";
+export * from "./validation.js";
+export * from "./operators.js";
@@ -1,5 +1,77 @@
+import { SKIP, signal, computed, batch } from "./signal.js";
+import { createMemoryStorage, createWebStorage } from "./storage.js";
+import { getKind, getName, whyDidThisRun } from "./devtools.js";
+
+/**
+ * @private
+ * Describes a handle for log output, using its `name` when given.
+ *
+ * @param {Object|Function} handle - Signal, computed, memo or effect
+ * @returns {string} Description such as `computed "total"`
+ */
+function describe(handle) {
+  const name = getName(handle);
+  return name ? `${getKind(handle)} "${name}"` : getKind(handle);
+}
+
+/**
+ * Creates a middleware logging signal operations to the console.
+ *
+ * With `logCauses`, every computed and effect run is explained by the writes
+ * behind it, as found by `whyDidThisRun`: one line per write, from the node
+ * back through the computeds in between to the written signal. Lines are
+ * grouped per batch and printed once the current task's updates are done.
+ * This requires `enableTracing()`.
+ *
+ * @param {Object} [options={}] - What to log
+ * @param {boolean} [options.logGets=false]
+ * @param {boolean} [options.logSets=true]
+ * @param {boolean} [options.logComputes=false]
+ * @param {boolean} [options.logEffects=false]
+ * @param {boolean} [options.logCauses=false]
+ * @returns {Function} Middleware
+ */
 export function createLoggerMiddleware(options = {}) {
-  const { logGets = 0, logSets = 1, logComputes = 0, logEffects = 0 } = options;
+  const {
+    logGets = 0,
+    logSets = 1,
+    logComputes = 0,
+    logEffects = 0,
+    logCauses = 0,
+  } = options;
+  // Batch ID → causal chains waiting to be printed
+  const chains = new Map();
+
+  const printChains = () => {
+    for (const [batchId, lines] of chains) {
+      console.group(`[signal:batch ${batchId}]`);
+      for (const line of lines) console.log(...line);
+      console.groupEnd();
+    }
+    chains.clear();
+  };
+
+  const recordCauses = (computation) => {
+    if (!computation.handle) return;
+    for (const cause of whyDidThisRun(computation.handle)) {
+      const path = [computation.handle, ...cause.through.slice().reverse()]
+        .map(describe)
+        .concat(describe(cause.signal))
+        .join(" ← ");
+      if (!chains.size) queueMicrotask(printChains);
+      if (!chains.has(cause.batch)) chains.set(cause.batch, []);
+      chains
+        .get(cause.batch)
+        .push([
+          `[signal:cause] ${path}:`,
+          cause.prevValue,
+          "→",
+          cause.value,
+          cause.location ? `at ${cause.location}` : "",
+        ]);
+    }
+  };
+
   return (type, value, context) => {
     if (type === "get" && logGets) console.log(`[signal:get]`, value);
     else if (type === "set" && logSets)
@@ -10,6 +82,8 @@ export function createLoggerMiddleware(options = {}) {
       console.log(`[signal:effect:start]`, context);
     else if (type === "afterEffect" && logEffects)
       console.log(`[signal:effect:end]`, context);
+    else if (type === "beforeCompute" && logCauses)
+      recordCauses(context.computation);
     return value;
   };
 }
@@ -20,33 +94,569 @@ export function createValidatorMiddleware(validator, errorHandler) {
       if (!validator(value, context)) {
         if (errorHandler) return errorHandler(value, context);
         console.error(`[signal:validation] Value failed validation:`, value);
-        return context.prevValue;
+        return SKIP;
       }
     }
     return value;
   };
 }
 
+// Stored data that is missing or could not be migrated
+const MISSING = Symbol("missing");
+
+/**
+ * Creates a middleware persisting signals created with a `persist` option.
+ * Stored values are restored on creation: synchronously for synchronous
+ * storage, otherwise once the read completes, tracked by the `hydrated`
+ * signal. Signals written before their stored value arrives keep the written
+ * value.
+ *
+ * Per signal, `persist` takes `key`, `defaultValue`, `serialize`,
+ * `deserialize`, and `version` with `migrate(old, fromVersion)` to upgrade
+ * values stored by an older version (values stored without a version have
+ * version 0). Without `migrate`, outdated values are discarded.
+ *
+ * With `sync`, writes are also broadcast on a `BroadcastChannel` so other
+ * tabs, workers or processes using the same key see them. Incoming values are
+ * applied to the matching signals without being broadcast again. By default
+ * the most recent write wins; `merge` combines concurrent values instead.
+ *
+ * @param {Object} [options={}] - Configuration options
+ * @param {import("./storage.js").StorageAdapter} [options.storage] - Where
+ *   values are stored; defaults to `localStorage` when available, otherwise
+ *   memory
+ * @param {function(any): string} [options.serialize=JSON.stringify]
+ * @param {function(string): any} [options.deserialize=JSON.parse]
+ * @param {number} [options.debounce] - Write a key only once it has not
+ *   changed for this many milliseconds
+ * @param {number} [options.throttle] - Write a key at most once per this many
+ *   milliseconds, always including the latest value
+ * @param {function(any): void} [options.onError] - Receives storage,
+ *   serialization and migration errors; defaults to `console.error`
+ * @param {boolean} [options.sync=false] - Broadcast writes to other contexts;
+ *   `persist.sync` overrides it per signal
+ * @param {string} [options.channel="tiny-signal:persist"] - Channel name
+ * @param {function(any, any, Object): any} [options.merge] - Computes the
+ *   value from the local value, the incoming value and
+ *   `{ key, localTime, remoteTime }` instead of keeping the most recent one
+ * @param {Object} [options.runtime] - Runtime from `createRuntime()` the
+ *   middleware is registered with, which `hydrated` belongs to; defaults to
+ *   the top-level exports
+ * @returns {Function & {
+ *   hydrated: {readonly value: boolean},
+ *   flush(): Promise<void>,
+ *   close(): void
+ * }} Middleware with persistence controls
+ */
 export function createPersistMiddleware(options = {}) {
-  const { serialize = JSON.stringify, deserialize = JSON.parse } = options;
-  return (type, value, context) => {
+  const {
+    storage = globalThis.localStorage
+      ? createWebStorage()
+      : createMemoryStorage(),
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    debounce,
+    throttle,
+    onError = (err) => console.error("[signal:persist]", err),
+    sync = false,
+    channel: channelName = "tiny-signal:persist",
+    merge,
+    runtime = { signal, computed },
+  } = options;
+  // Init contexts whose stored value is still being read, by key
+  const awaiting = new Map();
+  const pendingReads = runtime.signal(0);
+  // Writes not yet handed to the storage: key → { value, persist }
+  const queued = new Map();
+  const timers = new Map();
+  const lastWrites = new Map();
+  // Storage writes that have not settled yet
+  const inflight = new Set();
+  // Synced signals by key, and the time and origin of each key's last write
+  const synced = new Map();
+  const stamps = new Map();
+  const origin = Math.random().toString(36).slice(2);
+  let channel = null;
+  // Signals being given stored or incoming values, which are not written
+  // back. Writes that effects make to other signals meanwhile are stored
+  const applying = new Set();
+
+  // Returns the stored value and whether it had to be migrated
+  const decode = (raw, persist) => {
+    const stored = (persist.deserialize || deserialize)(raw);
+    if (persist.version == null) return [stored, false];
+
+    const isEnvelope =
+      stored !== null && typeof stored === "object" && "__version" in stored;
+    const fromVersion = isEnvelope ? stored.__version : 0;
+    const value = isEnvelope ? stored.value : stored;
+    if (fromVersion === persist.version) return [value, false];
+    if (!persist.migrate) return [MISSING, false];
+    return [persist.migrate(value, fromVersion), true];
+  };
+
+  const encode = (value, persist) =>
+    (persist.serialize || serialize)(
+      persist.version == null ? value : { __version: persist.version, value }
+    );
+
+  const write = (key) => {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    const entry = queued.get(key);
+    if (!entry) return;
+    queued.delete(key);
+    lastWrites.set(key, Date.now());
+
+    try {
+      const result = storage.setItem(key, encode(entry.value, entry.persist));
+      if (result && typeof result.then === "function") {
+        const done = result.then(undefined, onError).then(() => {
+          inflight.delete(done);
+        });
+        inflight.add(done);
+      }
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const schedule = (key, value, persist) => {
+    queued.set(key, { value, persist });
+    const wait = persist.debounce ?? debounce;
+    const interval = persist.throttle ?? throttle;
+
+    if (wait > 0) {
+      clearTimeout(timers.get(key));
+      timers.set(
+        key,
+        setTimeout(() => write(key), wait)
+      );
+    } else if (interval > 0) {
+      if (timers.has(key)) return;
+      const elapsed = Date.now() - (lastWrites.get(key) ?? -Infinity);
+      if (elapsed >= interval) write(key);
+      else
+        timers.set(
+          key,
+          setTimeout(() => write(key), interval - elapsed)
+        );
+    } else {
+      write(key);
+    }
+  };
+
+  const apply = (context, value) => {
+    applying.add(context.signal);
+    try {
+      context.signal.value = value;
+    } finally {
+      applying.delete(context.signal);
+    }
+  };
+
+  // Stops waiting for a signal's stored value; returns whether it was pending.
+  // Set contexts are copies, so the init context is matched by signal
+  const settle = (key, context) => {
+    const contexts = awaiting.get(key);
+    if (!contexts) return false;
+    for (const initContext of contexts) {
+      if (initContext.signal !== context.signal) continue;
+      contexts.delete(initContext);
+      if (!contexts.size) awaiting.delete(key);
+      return true;
+    }
+    return false;
+  };
+
+  // Applies a value read from storage, unless the signal was written since
+  const hydrate = (key, context, raw) => {
+    if (!settle(key, context) || raw == null) return;
+    const [value, migrated] = decode(raw, context.persist);
+    if (value === MISSING) return;
+
+    apply(context, value);
+    if (migrated) schedule(key, value, context.persist);
+  };
+
+  const receive = ({ key, data, time, from }) => {
+    const contexts = synced.get(key);
+    if (!contexts) return;
+    const stamp = stamps.get(key) || { time: 0, from: "" };
+    const newer =
+      time > stamp.time || (time === stamp.time && from > stamp.from);
+    if (!merge && !newer) return;
+
+    if (newer) stamps.set(key, { time, from });
+    // The sender stored its value already
+    queued.delete(key);
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+
+    for (const context of contexts) {
+      settle(key, context);
+      try {
+        const [incoming] = decode(data, context.persist);
+        if (incoming === MISSING) continue;
+        if (!merge) {
+          apply(context, incoming);
+          continue;
+        }
+
+        const value = merge(context.signal.peek(), incoming, {
+          key,
+          localTime: stamp.time,
+          remoteTime: time,
+        });
+        apply(context, value);
+        if (!Object.is(value, incoming)) schedule(key, value, context.persist);
+      } catch (err) {
+        onError(err);
+      }
+    }
+  };
+
+  const broadcast = (key, value, persist) => {
+    const time = Date.now();
+    stamps.set(key, { time, from: origin });
+    try {
+      channel?.postMessage({
+        key,
+        data: encode(value, persist),
+        time,
+        from: origin,
+      });
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const register = (key, context) => {
+    if (!channel) {
+      channel = new BroadcastChannel(channelName);
+      // Don't keep Node processes alive just to listen
+      channel.unref?.();
+      channel.onmessage = (event) => receive(event.data);
+    }
+    if (!synced.has(key)) synced.set(key, new Set());
+    synced.get(key).add(context);
+  };
+
+  const middleware = (type, value, context) => {
     if (!context.persist) return value;
     const key = context.persist.key;
     if (!key) return value;
-    const s = context.persist.serialize || serialize;
-    const d = context.persist.deserialize || deserialize;
+
     if (type === "init") {
+      if (context.persist.sync ?? sync) register(key, context);
+      let raw;
       try {
-        const stored = localStorage.getItem(key);
-        if (stored != null) return d(stored);
-      } catch {}
+        raw = storage.getItem(key);
+      } catch (err) {
+        onError(err);
+        return value ?? context.persist.defaultValue;
+      }
+
+      if (raw && typeof raw.then === "function") {
+        if (!awaiting.has(key)) awaiting.set(key, new Set());
+        awaiting.get(key).add(context);
+        pendingReads.value++;
+        raw
+          .then((result) => hydrate(key, context, result))
+          .catch(onError)
+          .finally(() => pendingReads.value--);
+        return value ?? context.persist.defaultValue;
+      }
+
+      if (raw != null) {
+        try {
+          const [stored, migrated] = decode(raw, context.persist);
+          if (stored !== MISSING) {
+            // Store migrated values in the current format
+            if (migrated) schedule(key, stored, context.persist);
+            return stored;
+          }
+        } catch (err) {
+          onError(err);
+        }
+      }
       return value ?? context.persist.defaultValue;
     }
-    if (type === "set") {
-      try {
-        localStorage.setItem(key, s(value));
-      } catch {}
+
+    if (type === "set" && !applying.has(context.signal)) {
+      settle(key, context);
+      schedule(key, value, context.persist);
+      // Set contexts are copies, so match the init context by signal
+      for (const initContext of synced.get(key) || []) {
+        if (initContext.signal === context.signal) {
+          broadcast(key, value, context.persist);
+        }
+      }
+    }
+    return value;
+  };
+
+  middleware.hydrated = runtime.computed(() => pendingReads.value === 0);
+
+  // Writes all queued values now; resolves once the storage has them
+  middleware.flush = async () => {
+    for (const key of [...queued.keys()]) write(key);
+    await Promise.all(inflight);
+  };
+
+  // Stops sending and receiving synced values
+  middleware.close = () => {
+    channel?.close();
+    channel = null;
+    synced.clear();
+  };
+
+  return middleware;
+}
+
+/**
+ * Creates a middleware measuring how long computeds, memos and effects take.
+ * Runs are timed between the `beforeCompute` and `afterCompute` hooks, so the
+ * time of a computation includes the computeds it refreshes while running.
+ * Statistics are kept per `name`; unnamed nodes are grouped by kind.
+ *
+ * @param {Object} [options={}] - Configuration options
+ * @param {number} [options.threshold=16] - Effects running longer than this
+ *   many milliseconds are reported as slow; `Infinity` turns warnings off
+ * @param {Function} [options.onSlow] - Receives slow effect runs as
+ *   `{ name, duration, batch }`; defaults to `console.warn`
+ * @param {number} [options.maxEvents=10000] - Runs kept for the trace; older
+ *   runs are dropped first
+ * @param {function(): number} [options.now=performance.now] - Clock in
+ *   milliseconds
+ * @returns {Function & {
+ *   report(sortBy?: 'total'|'average'|'max'|'runs'): Array<{
+ *     name: string,
+ *     kind: 'computed'|'effect',
+ *     runs: number,
+ *     total: number,
+ *     average: number,
+ *     max: number,
+ *     batches: number[]
+ *   }>,
+ *   toTraceEvents(): {traceEvents: Object[], displayTimeUnit: string},
+ *   reset(): void
+ * }} Middleware with access to the recorded timings
+ */
+export function createProfilerMiddleware(options = {}) {
+  const {
+    threshold = 16,
+    onSlow = ({ name, duration }) =>
+      console.warn(
+        `[signal:profiler] Slow effect "${name}" took ${duration.toFixed(1)}ms`
+      ),
+    maxEvents = 10000,
+    now = () => performance.now(),
+  } = options;
+  // Start times of the computations currently running
+  const starts = new Map();
+  // Name → statistics
+  const stats = new Map();
+  // Completed runs in a ring buffer: once full, `head` is the oldest run and
+  // the next one to be overwritten
+  let events = [];
+  let head = 0;
+
+  const record = (computation, isUser, batchId) => {
+    const start = starts.get(computation);
+    if (start === undefined) return;
+    starts.delete(computation);
+
+    const duration = now() - start;
+    const kind = isUser ? "effect" : "computed";
+    const name = computation.name || `(anonymous ${kind})`;
+    let entry = stats.get(name);
+    if (!entry) {
+      entry = { name, kind, runs: 0, total: 0, max: 0, batches: new Set() };
+      stats.set(name, entry);
+    }
+    entry.runs++;
+    entry.total += duration;
+    entry.max = Math.max(entry.max, duration);
+    if (batchId != null) entry.batches.add(batchId);
+
+    const event = { name, kind, start, duration, batch: batchId };
+    if (events.length < maxEvents) events.push(event);
+    else if (maxEvents > 0) {
+      events[head] = event;
+      head = (head + 1) % maxEvents;
+    }
+    if (isUser && duration > threshold) {
+      onSlow({ name, duration, batch: batchId });
+    }
+  };
+
+  const middleware = (type, value, context) => {
+    if (type === "beforeCompute") starts.set(context.computation, now());
+    else if (type === "afterCompute") {
+      record(context.computation, context.isUser, context.batch);
+    }
+    return value;
+  };
+
+  // Statistics per name, most expensive first
+  middleware.report = (sortBy = "total") =>
+    Array.from(stats.values(), (entry) => ({
+      ...entry,
+      average: entry.total / entry.runs,
+      batches: [...entry.batches],
+    })).sort((a, b) => b[sortBy] - a[sortBy]);
+
+  // Recorded runs in the Chrome trace event format, with times in microseconds
+  middleware.toTraceEvents = () => ({
+    traceEvents: [...events.slice(head), ...events.slice(0, head)].map(
+      (event) => ({
+        name: event.name,
+        cat: event.kind,
+        ph: "X",
+        ts: Math.round(event.start * 1000),
+        dur: Math.round(event.duration * 1000),
+        pid: 1,
+        tid: 1,
+        args: { batch: event.batch },
+      })
+    ),
+    displayTimeUnit: "ms",
+  });
+
+  middleware.reset = () => {
+    starts.clear();
+    stats.clear();
+    events = [];
+    head = 0;
+  };
+
+  return middleware;
+}
+
+/**
+ * Creates a middleware recording writes for undo/redo. Only signals created
+ * with a `history` option are recorded, unless `filter` decides otherwise.
+ * All writes made inside one `batch()` form a single step. The middleware has
+ * the lowest priority, so `use` runs it after other global middleware has
+ * transformed or vetoed the writes it records.
+ *
+ * @param {Object} [options={}] - Configuration options
+ * @param {number} [options.limit=100] - Maximum number of undo steps kept
+ * @param {function(Object): boolean} [options.filter] - Receives the `set`
+ *   context and returns whether to record the write
+ * @param {Object} [options.runtime] - Runtime from `createRuntime()` the
+ *   middleware is registered with; defaults to the top-level exports
+ * @returns {Function & {
+ *   undo(): boolean,
+ *   redo(): boolean,
+ *   clear(): void,
+ *   canUndo: {readonly value: boolean},
+ *   canRedo: {readonly value: boolean},
+ *   priority: number
+ * }} Middleware with history controls
+ */
+export function createHistoryMiddleware(options = {}) {
+  const {
+    limit = 100,
+    filter = (context) => !!context.history,
+    runtime = { signal, computed, batch },
+  } = options;
+  const undoStack = [];
+  const redoStack = [];
+  const undoSize = runtime.signal(0);
+  const redoSize = runtime.signal(0);
+  // Writes of the current outermost batch: signal → { prev, next }
+  let group = null;
+  let depth = 0;
+  let applying = false;
+
+  // Runs the history's own writes, if any, and publishes the stack sizes as
+  // one batch, without recording anything
+  const write = (fn) => {
+    applying = true;
+    try {
+      runtime.batch(() => {
+        if (fn) fn();
+        undoSize.value = undoStack.length;
+        redoSize.value = redoStack.length;
+      });
+    } finally {
+      applying = false;
+    }
+  };
+
+  const commit = (step) => {
+    undoStack.push(step);
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    write();
+  };
+
+  // Adds a write to the current batch's step, or commits it as its own step
+  const record = (target, prev, next) => {
+    const step = group || new Map();
+    const entry = step.get(target);
+    if (entry) entry.next = next;
+    else step.set(target, { prev, next });
+    if (!group) commit(step);
+  };
+
+  const middleware = (type, value, context) => {
+    if (applying) return value;
+    if (type === "beforeBatch") {
+      if (depth++ === 0) group = new Map();
+    } else if (type === "afterBatch" && depth > 0) {
+      // Batches that started before the middleware was registered are ignored
+      if (--depth === 0) {
+        const step = group;
+        group = null;
+        // Signals written back to their initial value changed nothing
+        step.forEach((entry, target) => {
+          if (Object.is(entry.prev, entry.next)) step.delete(target);
+        });
+        if (step.size) commit(step);
+      }
+    } else if (
+      type === "set" &&
+      context.signal &&
+      !Object.is(context.prevValue, value) &&
+      filter(context)
+    ) {
+      record(context.signal, context.prevValue, value);
     }
     return value;
   };
+
+  middleware.undo = () => {
+    const step = undoStack.pop();
+    if (!step) return false;
+    redoStack.push(step);
+    // Entries are undone in reverse order of their first write
+    const entries = [...step].reverse();
+    write(() =>
+      entries.forEach(([target, entry]) => (target.value = entry.prev))
+    );
+    return true;
+  };
+
+  middleware.redo = () => {
+    const step = redoStack.pop();
+    if (!step) return false;
+    undoStack.push(step);
+    write(() => step.forEach((entry, target) => (target.value = entry.next)));
+    return true;
+  };
+
+  middleware.clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    write();
+  };
+
+  middleware.canUndo = runtime.computed(() => undoSize.value > 0);
+  middleware.canRedo = runtime.computed(() => redoSize.value > 0);
+  middleware.priority = -Infinity;
+
+  return middleware;
 }
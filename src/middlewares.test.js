@@ -1,10 +1,24 @@
-import { describe, it, expect, vi } from "vitest";
-import { signal, use } from "./signal.js";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  signal,
+  computed,
+  use,
+  batch,
+  effect,
+  setErrorReporter,
+  withMiddleware,
+  SKIP,
+  createRuntime,
+  enableTracing,
+} from "./signal.js";
 import {
   createLoggerMiddleware,
   createValidatorMiddleware,
   createPersistMiddleware,
+  createHistoryMiddleware,
+  createProfilerMiddleware,
 } from "./middlewares.js";
+import { createMemoryStorage } from "./storage.js";
 
 describe("middleware", () => {
   it("should call logger middleware on get/set", () => {
@@ -33,6 +47,47 @@ describe("middleware", () => {
     remove();
   });
 
+  it("should log causal chains grouped per batch", async () => {
+    const output = [];
+    vi.spyOn(console, "group").mockImplementation((label) =>
+      output.push(label)
+    );
+    vi.spyOn(console, "groupEnd").mockImplementation(() => output.push("end"));
+    vi.spyOn(console, "log").mockImplementation((...args) =>
+      output.push(args.slice(0, 4).join(" "))
+    );
+    enableTracing();
+    const remove = use(createLoggerMiddleware({ logSets: 0, logCauses: 1 }));
+
+    const a = signal(1, { name: "a" });
+    const b = signal(1, { name: "b" });
+    const sum = computed(() => a.value + b.value, { name: "sum" });
+    effect(() => sum.value, { name: "render" });
+
+    batch(() => {
+      a.value = 2;
+      b.value = 3;
+    });
+    a.value = 4;
+    await Promise.resolve();
+
+    remove();
+    enableTracing(false);
+    vi.restoreAllMocks();
+    expect(output).toEqual([
+      expect.stringMatching(/^\[signal:batch \d+\]$/),
+      '[signal:cause] computed "sum" ← signal "a": 1 → 2',
+      '[signal:cause] computed "sum" ← signal "b": 1 → 3',
+      '[signal:cause] effect "render" ← computed "sum" ← signal "a": 1 → 2',
+      '[signal:cause] effect "render" ← computed "sum" ← signal "b": 1 → 3',
+      "end",
+      expect.stringMatching(/^\[signal:batch \d+\]$/),
+      '[signal:cause] computed "sum" ← signal "a": 2 → 4',
+      '[signal:cause] effect "render" ← computed "sum" ← signal "a": 2 → 4',
+      "end",
+    ]);
+  });
+
   it("should validate values with validator middleware", () => {
     const validator = (v) => typeof v === "number" && v >= 0;
     const remove = use(createValidatorMiddleware(validator));
@@ -107,4 +162,951 @@ describe("middleware", () => {
 
     remove();
   });
+
+  it("should run middleware by priority, then registration order", () => {
+    const calls = [];
+    const track = (name) => (type, value) => {
+      if (type === "set") calls.push(name);
+      return value;
+    };
+    const removeLow = use(track("low"), { priority: -1 });
+    const removeA = use(track("a"));
+    const removeHigh = use(track("high"), { priority: 10 });
+    const removeB = use(track("b"));
+
+    signal(0).value = 1;
+    expect(calls).toEqual(["high", "a", "b", "low"]);
+
+    removeLow();
+    removeA();
+    removeHigh();
+    removeB();
+  });
+
+  it("should pass undefined and null returned by middleware on", () => {
+    const remove = use((type, value) => (type === "set" ? null : value));
+    const s = signal(1);
+    s.value = 2;
+    expect(s.value).toBe(null);
+    remove();
+
+    const removeUndefined = use((type, value) =>
+      type === "set" ? undefined : value
+    );
+    s.value = 3;
+    expect(s.value).toBeUndefined();
+    removeUndefined();
+  });
+
+  it("should veto a set with SKIP", () => {
+    const later = vi.fn((type, value) => value);
+    const remove = use((type, value) => (type === "set" ? SKIP : value), {
+      priority: 1,
+    });
+    const removeLater = use(later, ["set"]);
+
+    const s = signal(1);
+    s.value = 2;
+    expect(s.value).toBe(1);
+    expect(later).not.toHaveBeenCalled();
+
+    remove();
+    removeLater();
+  });
+
+  it("should keep the original value when other operations are skipped", () => {
+    const remove = use((type, value) => {
+      if (type === "get") return value * 10;
+      return value;
+    });
+    const removeSkip = use((type, value) => (type === "get" ? SKIP : value), {
+      priority: -1,
+    });
+
+    const s = signal(2);
+    const c = computed(() => 3);
+    expect(s.value).toBe(2);
+    expect(c.value).toBe(3);
+
+    remove();
+    removeSkip();
+  });
+
+  it("should apply type-specific middleware without global middleware", () => {
+    const remove = use((type, value) => value + 1, ["set"]);
+    const s = signal(0);
+    s.value = 1;
+    expect(s.value).toBe(2);
+    remove();
+  });
+
+  it("should report middleware errors unless they propagate", () => {
+    const reported = [];
+    setErrorReporter((err) => reported.push(err.message));
+    const remove = use(
+      (type, value) => {
+        if (type === "set") throw new Error("reported");
+        return value;
+      },
+      { priority: 1 }
+    );
+    const double = use((type, value) => (type === "set" ? value * 2 : value));
+
+    const s = signal(0);
+    s.value = 1;
+    expect(reported).toEqual(["reported"]);
+    // The failing middleware is skipped, the rest of the pipeline still runs
+    expect(s.value).toBe(2);
+    remove();
+
+    const removeThrowing = use(
+      (type, value) => {
+        if (type === "set") throw new Error("propagated");
+        return value;
+      },
+      { propagateErrors: true }
+    );
+    expect(() => {
+      s.value = 5;
+    }).toThrow("propagated");
+    expect(s.value).toBe(2);
+
+    removeThrowing();
+    double();
+    setErrorReporter(null);
+  });
+
+  it("should pass the batch result through afterBatch middleware", () => {
+    const remove = use(
+      (type, value) => (type === "afterBatch" ? "x" : value),
+      ["afterBatch"]
+    );
+    expect(batch(() => 1)).toBe("x");
+    remove();
+  });
+
+  it("should veto invalid values in validator middleware", () => {
+    const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+    const remove = use(createValidatorMiddleware((v) => v !== undefined));
+    const s = signal(1);
+    s.value = undefined;
+    expect(s.value).toBe(1);
+    expect(errors).toHaveBeenCalledTimes(1);
+    remove();
+    errors.mockRestore();
+  });
+
+  it("should apply signal middleware to that signal only", () => {
+    const double = (type, value) => (type === "set" ? value * 2 : value);
+    const a = signal(1, { middleware: [double] });
+    const b = signal(1);
+
+    a.value = 2;
+    b.value = 2;
+    expect(a.value).toBe(4);
+    expect(b.value).toBe(2);
+  });
+
+  it("should apply computed middleware to its compute and get hooks", () => {
+    const calls = [];
+    const source = signal(2);
+    const c = computed(() => source.value, {
+      middleware: (type, value) => {
+        calls.push(type);
+        return type === "compute" ? value + 1 : value;
+      },
+    });
+
+    expect(c.value).toBe(3);
+    expect(calls).toEqual(["beforeCompute", "compute", "afterCompute", "get"]);
+  });
+
+  it("should run global, then scope, then signal middleware", () => {
+    const calls = [];
+    const track = (name) => (type, value) => {
+      if (type === "set") calls.push(name);
+      return value;
+    };
+    const remove = use(track("global"));
+
+    const s = withMiddleware(track("outer"), () =>
+      withMiddleware([track("inner")], () =>
+        signal(0, { middleware: [track("own")] })
+      )
+    );
+    s.value = 1;
+    remove();
+
+    expect(calls).toEqual(["global", "outer", "inner", "own"]);
+  });
+
+  it("should apply scope middleware only to nodes created inside it", () => {
+    const seen = [];
+    const mw = (type, value) => {
+      if (type === "beforeEffect") seen.push("effect");
+      if (type === "set") seen.push(value);
+      return value;
+    };
+
+    const [inside, after] = withMiddleware(mw, () => {
+      const s = signal(0);
+      effect(() => s.value);
+      return [s, () => signal(0)];
+    });
+    expect(seen).toEqual(["effect"]);
+
+    inside.value = 1;
+    expect(seen).toEqual(["effect", 1, "effect"]);
+
+    // Created after the scope ended
+    after().value = 2;
+    expect(seen).toEqual(["effect", 1, "effect"]);
+  });
+
+  it("should let local middleware veto writes", () => {
+    const positive = (type, value) =>
+      type === "set" && value < 0 ? SKIP : value;
+    const s = signal(1, { middleware: [positive] });
+
+    s.value = -1;
+    expect(s.value).toBe(1);
+  });
+
+  it("should not run local middleware after a global veto", () => {
+    const local = vi.fn((type, value) => value);
+    const remove = use((type, value) => (type === "set" ? SKIP : value));
+    const s = signal(1, { middleware: [local] });
+    local.mockClear();
+
+    s.value = 2;
+    remove();
+
+    expect(s.value).toBe(1);
+    expect(local).not.toHaveBeenCalledWith("set", 2, expect.anything());
+  });
+});
+
+describe("history middleware", () => {
+  let remove;
+  afterEach(() => remove?.());
+
+  function setup(options) {
+    const history = createHistoryMiddleware(options);
+    remove = use(history);
+    return history;
+  }
+
+  it("should undo and redo writes of opted-in signals", () => {
+    const history = setup();
+    const s = signal(0, { history: true });
+    const ignored = signal(0);
+
+    s.value = 1;
+    s.value = 2;
+    ignored.value = 5;
+
+    expect(history.undo()).toBe(true);
+    expect(s.value).toBe(1);
+    expect(history.undo()).toBe(true);
+    expect(s.value).toBe(0);
+    expect(history.undo()).toBe(false);
+    expect(ignored.value).toBe(5);
+
+    expect(history.redo()).toBe(true);
+    expect(s.value).toBe(1);
+    expect(history.redo()).toBe(true);
+    expect(s.value).toBe(2);
+    expect(history.redo()).toBe(false);
+  });
+
+  it("should not record writes vetoed by middleware registered later", () => {
+    const history = setup();
+    const removeVeto = use((type, value) =>
+      type === "set" && value < 0 ? SKIP : value
+    );
+    const s = signal(0, { history: true });
+
+    s.value = -1;
+    removeVeto();
+    expect(s.value).toBe(0);
+    expect(history.canUndo.value).toBe(false);
+  });
+
+  it("should group writes of a batch into one step", () => {
+    const history = setup();
+    const a = signal(0, { history: true });
+    const b = signal(0, { history: true });
+
+    batch(() => {
+      a.value = 1;
+      b.value = 1;
+      batch(() => {
+        a.value = 2;
+      });
+    });
+
+    history.undo();
+    expect(a.value).toBe(0);
+    expect(b.value).toBe(0);
+    expect(history.canUndo.value).toBe(false);
+
+    history.redo();
+    expect(a.value).toBe(2);
+    expect(b.value).toBe(1);
+  });
+
+  it("should apply an undo as one batch", () => {
+    const history = setup();
+    const a = signal(0, { history: true });
+    const b = signal(0, { history: true });
+    const seen = [];
+    effect(() => seen.push([a.value, b.value]));
+
+    batch(() => {
+      a.value = 1;
+      b.value = 1;
+    });
+    history.undo();
+
+    expect(seen).toEqual([
+      [0, 0],
+      [1, 1],
+      [0, 0],
+    ]);
+  });
+
+  it("should expose canUndo and canRedo as signals", () => {
+    const history = setup();
+    const s = signal(0, { history: true });
+    const states = [];
+    effect(() => states.push([history.canUndo.value, history.canRedo.value]));
+
+    s.value = 1;
+    history.undo();
+    history.redo();
+
+    expect(states).toEqual([
+      [false, false],
+      [true, false],
+      [false, true],
+      [true, false],
+    ]);
+  });
+
+  it("should drop the redo stack on a new write", () => {
+    const history = setup();
+    const s = signal(0, { history: true });
+
+    s.value = 1;
+    history.undo();
+    s.value = 2;
+
+    expect(history.canRedo.value).toBe(false);
+    expect(history.redo()).toBe(false);
+    history.undo();
+    expect(s.value).toBe(0);
+  });
+
+  it("should keep at most `limit` steps", () => {
+    const history = setup({ limit: 2 });
+    const s = signal(0, { history: true });
+
+    s.value = 1;
+    s.value = 2;
+    s.value = 3;
+
+    history.undo();
+    history.undo();
+    expect(history.undo()).toBe(false);
+    expect(s.value).toBe(1);
+  });
+
+  it("should record signals chosen by filter", () => {
+    const history = setup({ filter: (ctx) => ctx.name === "tracked" });
+    const tracked = signal(0, { name: "tracked" });
+    const other = signal(0, { history: true });
+
+    tracked.value = 1;
+    other.value = 1;
+    history.undo();
+
+    expect(tracked.value).toBe(0);
+    expect(other.value).toBe(1);
+  });
+
+  it("should skip batches that end where they started", () => {
+    const history = setup();
+    const s = signal(0, { history: true });
+
+    batch(() => {
+      s.value = 1;
+      s.value = 0;
+    });
+    expect(history.canUndo.value).toBe(false);
+  });
+
+  it("should close a batch that throws", () => {
+    const history = setup();
+    const s = signal(0, { history: true });
+
+    expect(() =>
+      batch(() => {
+        s.value = 1;
+        throw new Error("boom");
+      })
+    ).toThrow("boom");
+    s.value = 2;
+
+    history.undo();
+    expect(s.value).toBe(1);
+    history.undo();
+    expect(s.value).toBe(0);
+  });
+
+  it("should clear both stacks", () => {
+    const history = setup();
+    const s = signal(0, { history: true });
+
+    s.value = 1;
+    s.value = 2;
+    history.undo();
+    history.clear();
+
+    expect(history.canUndo.value).toBe(false);
+    expect(history.canRedo.value).toBe(false);
+    expect(s.value).toBe(1);
+  });
+
+  it("should undo a step as one batch of the given runtime", () => {
+    const runtime = createRuntime();
+    const history = createHistoryMiddleware({ runtime });
+    remove = runtime.use(history);
+    const a = runtime.signal(0, { history: true });
+    const b = runtime.signal(0, { history: true });
+    runtime.batch(() => {
+      a.value = 1;
+      b.value = 1;
+    });
+
+    const seen = [];
+    runtime.effect(() => {
+      seen.push([a.value, b.value, history.canRedo.value]);
+    });
+    history.undo();
+
+    expect(seen).toEqual([
+      [1, 1, false],
+      [0, 0, true],
+    ]);
+  });
+});
+
+describe("persist middleware", () => {
+  let remove;
+  afterEach(() => {
+    remove?.();
+    vi.useRealTimers();
+  });
+
+  function setup(options) {
+    const persist = createPersistMiddleware({
+      storage: createMemoryStorage(),
+      ...options,
+    });
+    remove = use(persist);
+    return persist;
+  }
+
+  it("should fall back to memory storage without localStorage", () => {
+    const persist = setup({ storage: undefined });
+    const s = signal(1, { persist: { key: "count" } });
+    s.value = 2;
+
+    const s2 = signal(0, { persist: { key: "count" } });
+    expect(s2.value).toBe(2);
+    expect(persist.hydrated.value).toBe(true);
+  });
+
+  it("should use defaultValue when nothing is stored", () => {
+    setup();
+    const s = signal(undefined, { persist: { key: "k", defaultValue: 7 } });
+    expect(s.value).toBe(7);
+  });
+
+  it("should hydrate from asynchronous storage", async () => {
+    const storage = createMemoryStorage([["k", "5"]]);
+    const persist = setup({
+      storage: {
+        getItem: async (key) => storage.getItem(key),
+        setItem: async (key, value) => storage.setItem(key, value),
+        removeItem: async (key) => storage.removeItem(key),
+      },
+    });
+    const s = signal(0, { persist: { key: "k" } });
+
+    expect(s.value).toBe(0);
+    expect(persist.hydrated.value).toBe(false);
+    await vi.waitFor(() => expect(persist.hydrated.value).toBe(true));
+    expect(s.value).toBe(5);
+    // Hydration is not written back
+    expect(storage.getItem("k")).toBe("5");
+  });
+
+  it("should report hydration on the given runtime", async () => {
+    const runtime = createRuntime();
+    const persist = createPersistMiddleware({
+      storage: { getItem: async () => "5", setItem() {}, removeItem() {} },
+      runtime,
+    });
+    remove = runtime.use(persist);
+    const s = runtime.signal(0, { persist: { key: "k" } });
+    const seen = [];
+    runtime.effect(() => {
+      seen.push(persist.hydrated.value);
+    });
+
+    await vi.waitFor(() => expect(seen).toEqual([false, true]));
+    expect(s.value).toBe(5);
+  });
+
+  it("should hydrate every signal sharing a key", async () => {
+    const storage = createMemoryStorage([["k", "42"]]);
+    const persist = setup({
+      storage: {
+        getItem: async (key) => storage.getItem(key),
+        setItem: async (key, value) => storage.setItem(key, value),
+        removeItem: async (key) => storage.removeItem(key),
+      },
+    });
+    const first = signal(0, { persist: { key: "k" } });
+    const second = signal(0, { persist: { key: "k" } });
+
+    await vi.waitFor(() => expect(persist.hydrated.value).toBe(true));
+    expect(first.value).toBe(42);
+    expect(second.value).toBe(42);
+  });
+
+  it("should keep writes made before hydration completes", async () => {
+    let resolve;
+    const storage = createMemoryStorage();
+    const persist = setup({
+      storage: {
+        getItem: () => new Promise((r) => (resolve = r)),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: (key) => storage.removeItem(key),
+      },
+    });
+    const s = signal(0, { persist: { key: "k" } });
+    s.value = 3;
+    resolve("5");
+
+    await vi.waitFor(() => expect(persist.hydrated.value).toBe(true));
+    expect(s.value).toBe(3);
+    expect(storage.getItem("k")).toBe("3");
+  });
+
+  it("should store writes that effects make while hydrating", async () => {
+    const storage = createMemoryStorage([["a", "5"]]);
+    const persist = setup({
+      storage: {
+        getItem: async (key) => storage.getItem(key),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: (key) => storage.removeItem(key),
+      },
+    });
+    const a = signal(0, { persist: { key: "a" } });
+    const b = signal(0, { persist: { key: "b" } });
+    effect(() => {
+      b.value = a.value * 2;
+    });
+
+    await vi.waitFor(() => expect(persist.hydrated.value).toBe(true));
+    expect(b.value).toBe(10);
+    expect(storage.getItem("a")).toBe("5");
+    expect(storage.getItem("b")).toBe("10");
+  });
+
+  it("should store versioned values and migrate older ones", () => {
+    const storage = createMemoryStorage([["user", '"Ada"']]);
+    setup({ storage });
+    const migrate = vi.fn((old, fromVersion) =>
+      fromVersion === 0 ? { name: old } : old
+    );
+    const s = signal(null, { persist: { key: "user", version: 1, migrate } });
+
+    expect(migrate).toHaveBeenCalledWith("Ada", 0);
+    expect(s.value).toEqual({ name: "Ada" });
+    expect(JSON.parse(storage.getItem("user"))).toEqual({
+      __version: 1,
+      value: { name: "Ada" },
+    });
+
+    signal(null, { persist: { key: "user", version: 1, migrate } });
+    expect(migrate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should discard outdated values without migrate", () => {
+    const storage = createMemoryStorage([
+      ["k", JSON.stringify({ __version: 1, value: "old" })],
+    ]);
+    setup({ storage });
+    const s = signal("new", { persist: { key: "k", version: 2 } });
+    expect(s.value).toBe("new");
+  });
+
+  it("should report migration errors and keep the initial value", () => {
+    const onError = vi.fn();
+    setup({ storage: createMemoryStorage([["k", "1"]]), onError });
+    const migrate = () => {
+      throw new Error("bad data");
+    };
+    const s = signal(0, { persist: { key: "k", version: 1, migrate } });
+
+    expect(s.value).toBe(0);
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+  });
+
+  it("should debounce writes and flush on demand", async () => {
+    vi.useFakeTimers();
+    const storage = createMemoryStorage();
+    const persist = setup({ storage, debounce: 100 });
+    const s = signal(0, { persist: { key: "k" } });
+
+    s.value = 1;
+    vi.advanceTimersByTime(50);
+    s.value = 2;
+    vi.advanceTimersByTime(50);
+    expect(storage.getItem("k")).toBe(null);
+    vi.advanceTimersByTime(50);
+    expect(storage.getItem("k")).toBe("2");
+
+    s.value = 3;
+    await persist.flush();
+    expect(storage.getItem("k")).toBe("3");
+    vi.advanceTimersByTime(100);
+    expect(storage.getItem("k")).toBe("3");
+  });
+
+  it("should throttle writes while keeping the latest value", () => {
+    vi.useFakeTimers();
+    const storage = createMemoryStorage();
+    const setItem = vi.spyOn(storage, "setItem");
+    setup({ storage, throttle: 100 });
+    const s = signal(0, { persist: { key: "k" } });
+
+    s.value = 1;
+    s.value = 2;
+    s.value = 3;
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(storage.getItem("k")).toBe("1");
+
+    vi.advanceTimersByTime(100);
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(storage.getItem("k")).toBe("3");
+  });
+
+  it("should accept write timing per key", () => {
+    vi.useFakeTimers();
+    const storage = createMemoryStorage();
+    setup({ storage });
+    const slow = signal(0, { persist: { key: "slow", debounce: 100 } });
+    const fast = signal(0, { persist: { key: "fast" } });
+
+    slow.value = 1;
+    fast.value = 1;
+    expect(storage.getItem("slow")).toBe(null);
+    expect(storage.getItem("fast")).toBe("1");
+    vi.advanceTimersByTime(100);
+    expect(storage.getItem("slow")).toBe("1");
+  });
+
+  it("should wait for asynchronous writes on flush", async () => {
+    const storage = createMemoryStorage();
+    const persist = setup({
+      storage: {
+        getItem: async () => null,
+        setItem: (key, value) =>
+          new Promise((r) => setTimeout(() => r(storage.setItem(key, value)))),
+        removeItem: async () => {},
+      },
+    });
+    const s = signal(0, { persist: { key: "k" } });
+    await vi.waitFor(() => expect(persist.hydrated.value).toBe(true));
+
+    s.value = 1;
+    expect(storage.getItem("k")).toBe(null);
+    await persist.flush();
+    expect(storage.getItem("k")).toBe("1");
+  });
+});
+
+describe("persist middleware sync", () => {
+  let cleanups = [];
+  afterEach(() => {
+    cleanups.forEach((fn) => fn());
+    cleanups = [];
+  });
+
+  let channels = 0;
+  // Two runtimes standing in for two tabs sharing one storage
+  function setup(options = {}) {
+    const name = `persist-sync-test-${channels++}`;
+    const storage = createMemoryStorage();
+    const tabs = [createRuntime(), createRuntime()].map((runtime) => {
+      const persist = createPersistMiddleware({
+        storage,
+        sync: true,
+        channel: name,
+        ...options,
+      });
+      cleanups.push(runtime.use(persist), persist.close);
+      return { ...runtime, persist };
+    });
+    const peer = new BroadcastChannel(name);
+    const messages = [];
+    peer.onmessage = (event) => messages.push(event.data);
+    cleanups.push(() => peer.close());
+    return { tabs, storage, peer, messages };
+  }
+
+  it("should apply writes from other contexts without echoing them", async () => {
+    const { tabs, storage, messages } = setup();
+    const setItem = vi.spyOn(storage, "setItem");
+    const a = tabs[0].signal(0, { persist: { key: "k" } });
+    const b = tabs[1].signal(0, { persist: { key: "k" } });
+    const seen = [];
+    tabs[1].effect(() => {
+      seen.push(b.value);
+    });
+
+    a.value = 1;
+    await vi.waitFor(() => expect(b.value).toBe(1));
+    a.value = 2;
+    await vi.waitFor(() => expect(b.value).toBe(2));
+
+    expect(seen).toEqual([0, 1, 2]);
+    expect(messages.map((m) => m.data)).toEqual(["1", "2"]);
+    expect(setItem).toHaveBeenCalledTimes(2);
+  });
+
+  it("should store and send writes that effects make while receiving", async () => {
+    const { tabs, storage, messages } = setup();
+    const a = tabs[0].signal(0, { persist: { key: "a" } });
+    const b = tabs[1].signal(0, { persist: { key: "a" } });
+    const doubled = tabs[1].signal(0, { persist: { key: "doubled" } });
+    tabs[1].effect(() => {
+      doubled.value = b.value * 2;
+    });
+
+    a.value = 1;
+    await vi.waitFor(() => expect(doubled.value).toBe(2));
+    expect(storage.getItem("doubled")).toBe("2");
+    await vi.waitFor(() =>
+      expect(messages.at(-1)).toMatchObject({ key: "doubled", data: "2" })
+    );
+  });
+
+  it("should ignore incoming writes older than the local one", async () => {
+    const { tabs, peer } = setup();
+    const s = tabs[0].signal(0, { persist: { key: "k" } });
+    s.value = 5;
+
+    peer.postMessage({ key: "k", data: "9", time: 1, from: "peer" });
+    peer.postMessage({
+      key: "k",
+      data: "7",
+      time: Date.now() + 1000,
+      from: "peer",
+    });
+    await vi.waitFor(() => expect(s.value).toBe(7));
+    expect(tabs[0].persist.hydrated.value).toBe(true);
+  });
+
+  it("should combine concurrent values with merge", async () => {
+    const merge = vi.fn((local, incoming) => [
+      ...new Set([...local, ...incoming]),
+    ]);
+    const { tabs, peer, storage } = setup({ merge });
+    const s = tabs[0].signal(["a"], { persist: { key: "tags" } });
+
+    peer.postMessage({ key: "tags", data: '["b"]', time: 1, from: "peer" });
+    await vi.waitFor(() => expect(s.value).toEqual(["a", "b"]));
+    expect(merge).toHaveBeenCalledWith(["a"], ["b"], {
+      key: "tags",
+      localTime: 0,
+      remoteTime: 1,
+    });
+    expect(storage.getItem("tags")).toBe('["a","b"]');
+  });
+
+  it("should only sync opted-in signals", async () => {
+    const { tabs, messages } = setup({ sync: false });
+    const local = tabs[0].signal(0, { persist: { key: "local" } });
+    const shared = tabs[0].signal(0, {
+      persist: { key: "shared", sync: true },
+    });
+
+    local.value = 1;
+    shared.value = 1;
+    await vi.waitFor(() => expect(messages).toHaveLength(1));
+    expect(messages[0].key).toBe("shared");
+  });
+
+  it("should stop syncing once closed", async () => {
+    const { tabs, peer, messages } = setup();
+    const s = tabs[0].signal(0, { persist: { key: "k" } });
+    tabs[0].persist.close();
+
+    s.value = 1;
+    peer.postMessage({
+      key: "k",
+      data: "2",
+      time: Date.now() + 1000,
+      from: "peer",
+    });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(s.value).toBe(1);
+    expect(messages).toHaveLength(0);
+  });
+});
+
+describe("profiler middleware", () => {
+  let remove;
+  afterEach(() => remove?.());
+
+  // Clock advanced by the computations themselves
+  let time = 0;
+  const work = (ms) => {
+    time += ms;
+  };
+
+  function setup(options) {
+    time = 0;
+    const profiler = createProfilerMiddleware({ now: () => time, ...options });
+    remove = use(profiler);
+    return profiler;
+  }
+
+  it("should record runs and durations per name", () => {
+    const profiler = setup({ onSlow: () => {} });
+    const count = signal(1);
+    const double = computed(
+      () => {
+        work(2);
+        return count.value * 2;
+      },
+      { name: "double" }
+    );
+    effect(
+      () => {
+        work(5);
+        double.value;
+      },
+      { name: "render" }
+    );
+
+    count.value = 2;
+    batch(() => {
+      count.value = 3;
+    });
+
+    const [render, doubled] = profiler.report();
+    expect(render).toMatchObject({
+      name: "render",
+      kind: "effect",
+      runs: 3,
+      // The first run refreshed double while running
+      total: 17,
+      max: 7,
+    });
+    expect(doubled).toMatchObject({
+      name: "double",
+      kind: "computed",
+      runs: 3,
+      total: 6,
+      max: 2,
+    });
+    expect(render.batches).toHaveLength(3);
+    expect(doubled.batches).toEqual(render.batches);
+  });
+
+  it("should sort the report by the given statistic", () => {
+    const profiler = setup();
+    const a = computed(() => work(1), { name: "a" });
+    const b = computed(() => work(3), { name: "b" });
+    a.value;
+    b.value;
+    const c = computed(() => work(0), { name: "a" });
+    c.value;
+
+    expect(profiler.report().map((e) => e.name)).toEqual(["b", "a"]);
+    expect(profiler.report("runs").map((e) => e.name)).toEqual(["a", "b"]);
+    // Computeds read outside of a batch belong to none
+    expect(profiler.report()[0].batches).toEqual([]);
+  });
+
+  it("should group unnamed nodes by kind", () => {
+    const profiler = setup();
+    computed(() => 1).value;
+    effect(() => {});
+    expect(profiler.report("runs").map((e) => e.name)).toEqual([
+      "(anonymous computed)",
+      "(anonymous effect)",
+    ]);
+  });
+
+  it("should warn about slow effects", () => {
+    const onSlow = vi.fn();
+    setup({ threshold: 10, onSlow });
+    const s = signal(1);
+    effect(() => work(s.value), { name: "paint" });
+    s.value = 20;
+
+    expect(onSlow).toHaveBeenCalledTimes(1);
+    expect(onSlow).toHaveBeenCalledWith({
+      name: "paint",
+      duration: 20,
+      batch: expect.any(Number),
+    });
+  });
+
+  it("should export Chrome trace events", () => {
+    const profiler = setup({ maxEvents: 2 });
+    const s = signal(0);
+    effect(
+      () => {
+        work(1.5);
+        s.value;
+      },
+      { name: "e" }
+    );
+    s.value = 1;
+    s.value = 2;
+
+    const { traceEvents } = profiler.toTraceEvents();
+    // The oldest run was dropped and the rest stay in order
+    expect(traceEvents.map((event) => event.ts)).toEqual([1500, 3000]);
+    expect(traceEvents[1]).toEqual({
+      name: "e",
+      cat: "effect",
+      ph: "X",
+      ts: 3000,
+      dur: 1500,
+      pid: 1,
+      tid: 1,
+      args: { batch: expect.any(Number) },
+    });
+    expect(() => JSON.stringify(profiler.toTraceEvents())).not.toThrow();
+
+    profiler.reset();
+    expect(profiler.report()).toEqual([]);
+    expect(profiler.toTraceEvents().traceEvents).toEqual([]);
+
+    s.value = 3;
+    s.value = 4;
+    s.value = 5;
+    expect(
+      profiler.toTraceEvents().traceEvents.map((event) => event.ts)
+    ).toEqual([6000, 7500]);
+  });
 });
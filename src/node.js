@@ -0,0 +1,13 @@
+// Graph node internals shared by the core and tooling such as devtools.
+// Internal: not re-exported from the package entry.
+
+export const STALE = 1 << 0; // 1 - must recompute
+export const USER_EFFECT = 1 << 1; // 2
+export const QUEUED = 1 << 2; // 4
+export const RUNNING = 1 << 3; // 8
+export const DISPOSED = 1 << 4; // 16
+export const ERROR = 1 << 5; // 32
+export const CHECK = 1 << 6; // 64 - a source may have changed, verify before use
+
+// Key of the graph node on public handles (signals, computeds, memos, effects)
+export const NODE = Symbol("tiny-signal.node");
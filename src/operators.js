@@ -0,0 +1,314 @@
+import {
+  signal,
+  computed,
+  effect,
+  onCleanup,
+  untrack,
+  createErrorHandler,
+  OBSERVABLE,
+} from "./signal.js";
+import { NODE } from "./node.js";
+import { readSource } from "./utils.js";
+
+/**
+ * @private
+ * Wraps the signal an operator writes to in a read-only handle. Disposing it
+ * stops the effect feeding the signal, whose cleanups clear pending timers.
+ * Timers outliving a run of the effect are cleared by `stop`, which also runs
+ * when the owner the operator was created in is disposed.
+ *
+ * @param {Object} out - Signal holding the derived value
+ * @param {{dispose(): void}|null} runner - Effect feeding the signal
+ * @param {function(): void} [stop] - Clears timers kept across runs
+ * @returns {{readonly value: any, peek(): any, dispose(): void}} Read-only
+ *   signal
+ */
+function readOnly(out, runner, stop) {
+  if (stop) onCleanup(stop);
+  return {
+    get value() {
+      return out.value;
+    },
+    peek: () => out.peek(),
+    dispose() {
+      runner?.dispose();
+      stop?.();
+      out.dispose();
+    },
+    subscribe: (callback, onError) => out.subscribe(callback, onError),
+    [OBSERVABLE]: () => out[OBSERVABLE](),
+    [Symbol.asyncIterator]: () => out[Symbol.asyncIterator](),
+    [NODE]: out[NODE],
+  };
+}
+
+/**
+ * @public
+ * Follows a source once it has stopped changing for `ms` milliseconds. Starts
+ * with the source's current value.
+ *
+ * @template T
+ * @param {Object|Function} source - Signal, computed or memo
+ * @param {number} ms - Quiet time in milliseconds
+ * @returns {{readonly value: T, peek(): T, dispose(): void}} Read-only signal
+ *
+ * @example
+ * const query = signal("");
+ * const search = debounced(query, 300);
+ * effect(() => fetchResults(search.value));
+ */
+export function debounced(source, ms) {
+  const out = signal(undefined);
+  let first = true;
+  const runner = effect(() => {
+    const value = readSource(source);
+    if (first) {
+      first = false;
+      out.value = value;
+      return;
+    }
+    const timer = setTimeout(() => (out.value = value), ms);
+    onCleanup(() => clearTimeout(timer));
+  });
+  return readOnly(out, runner);
+}
+
+/**
+ * @public
+ * Follows a source at most once per `ms` milliseconds. A change after a quiet
+ * period is applied at once; later changes within the period are applied at
+ * its end, with the latest value.
+ *
+ * @template T
+ * @param {Object|Function} source - Signal, computed or memo
+ * @param {number} ms - Period in milliseconds
+ * @returns {{readonly value: T, peek(): T, dispose(): void}} Read-only signal
+ */
+export function throttled(source, ms) {
+  const out = signal(undefined);
+  let last = -Infinity;
+  let latest;
+  let timer = null;
+
+  const emit = () => {
+    timer = null;
+    last = Date.now();
+    out.value = latest;
+  };
+
+  const runner = effect(() => {
+    latest = readSource(source);
+    if (timer) return;
+    const wait = last + ms - Date.now();
+    if (wait <= 0) emit();
+    else timer = setTimeout(emit, wait);
+  });
+  return readOnly(out, runner, () => clearTimeout(timer));
+}
+
+/**
+ * @public
+ * Follows the values of a source that pass a predicate. Starts with the
+ * source's current value if it passes, otherwise with `undefined`.
+ *
+ * @template T
+ * @param {Object|Function} source - Signal, computed or memo
+ * @param {function(T): boolean} predicate - Decides which values pass
+ * @returns {{readonly value: T|undefined, peek(): T|undefined, dispose(): void}}
+ *   Read-only signal
+ */
+export function filtered(source, predicate) {
+  const out = signal(undefined);
+  const runner = effect(() => {
+    const value = readSource(source);
+    if (untrack(() => predicate(value))) out.value = value;
+  });
+  return readOnly(out, runner);
+}
+
+/**
+ * @public
+ * Follows a source, notifying only when a value differs from the previous one
+ * according to `equals`, such as a deep or by-ID comparison.
+ *
+ * @template T
+ * @param {Object|Function} source - Signal, computed or memo
+ * @param {function(T, T): boolean} [equals=Object.is] - Comparator
+ * @returns {{readonly value: T, peek(): T, dispose(): void}} Read-only signal
+ */
+export function distinct(source, equals = Object.is) {
+  // Start with the current value so `equals` never sees a missing one
+  const out = signal(
+    untrack(() => readSource(source)),
+    { equals }
+  );
+  const runner = effect(() => {
+    out.value = readSource(source);
+  });
+  return readOnly(out, runner);
+}
+
+/**
+ * @public
+ * Follows a source `ms` milliseconds late. Unlike `debounced`, every change
+ * is applied, each after its own delay. Starts with the source's current
+ * value.
+ *
+ * @template T
+ * @param {Object|Function} source - Signal, computed or memo
+ * @param {number} ms - Delay in milliseconds
+ * @returns {{readonly value: T, peek(): T, dispose(): void}} Read-only signal
+ */
+export function delayed(source, ms) {
+  const out = signal(undefined);
+  const timers = new Set();
+  let first = true;
+  const runner = effect(() => {
+    const value = readSource(source);
+    if (first) {
+      first = false;
+      out.value = value;
+      return;
+    }
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      out.value = value;
+    }, ms);
+    timers.add(timer);
+  });
+  return readOnly(out, runner, () => timers.forEach(clearTimeout));
+}
+
+/**
+ * @public
+ * Accumulates the values of a source, like `Array.prototype.reduce` over
+ * time. Starts with the reducer applied to `seed` and the current value.
+ *
+ * @template T, A
+ * @param {Object|Function} source - Signal, computed or memo
+ * @param {function(A, T): A} reducer - Combines the accumulator and a value
+ * @param {A} seed - Initial accumulator
+ * @returns {{readonly value: A, peek(): A, dispose(): void}} Read-only signal
+ *
+ * @example
+ * const clicks = signal(0);
+ * const history = scan(clicks, (list, n) => [...list, n], []);
+ */
+export function scan(source, reducer, seed) {
+  const out = signal(seed);
+  const runner = effect(() => {
+    const value = readSource(source);
+    out.value = untrack(() => reducer(out.peek(), value));
+  });
+  return readOnly(out, runner);
+}
+
+/**
+ * @public
+ * Combines several sources into one value with the same shape: an object of
+ * sources gives an object of values, an array gives an array.
+ *
+ * @param {Object<string, Object|Function>|Array<Object|Function>} sources -
+ *   Signals, computeds or memos
+ * @returns {{readonly value: Object|Array, peek(): Object|Array, dispose(): void}}
+ *   Read-only signal
+ *
+ * @example
+ * const position = combine({ x, y });
+ * effect(() => draw(position.value.x, position.value.y));
+ */
+export function combine(sources) {
+  if (Array.isArray(sources)) return computed(() => sources.map(readSource));
+  const keys = Object.keys(sources);
+  return computed(() => {
+    const values = {};
+    for (const key of keys) values[key] = readSource(sources[key]);
+    return values;
+  });
+}
+
+/**
+ * @public
+ * Follows a source as `[previous, current]` pairs. The previous value starts
+ * as `undefined`.
+ *
+ * @template T
+ * @param {Object|Function} source - Signal, computed or memo
+ * @returns {{
+ *   readonly value: [T|undefined, T],
+ *   peek(): [T|undefined, T],
+ *   dispose(): void
+ * }} Read-only signal
+ */
+export function pairwise(source) {
+  const out = signal(undefined);
+  let previous;
+  const runner = effect(() => {
+    const value = readSource(source);
+    out.value = [previous, value];
+    previous = value;
+  });
+  return readOnly(out, runner);
+}
+
+/**
+ * @public
+ * Returns an Observable of a signal, computed or memo, for libraries that
+ * accept Observables. Subscribers receive the current value at once, then
+ * every change, once per batch. An error thrown by a computed is passed to
+ * the observer's `error` and ends its subscription.
+ *
+ * @param {Object|Function} source - Signal, computed or memo
+ * @returns {{
+ *   subscribe(observer: Function|{next?: Function, error?: Function}): {
+ *     unsubscribe(): void,
+ *     readonly closed: boolean
+ *   }
+ * }} Observable
+ * @throws {TypeError} If the source is not a signal, computed or memo
+ *
+ * @example
+ * import { from } from "rxjs";
+ * from(toObservable(count)).subscribe((n) => console.log(n));
+ */
+export function toObservable(source) {
+  if (!source || typeof source[OBSERVABLE] !== "function") {
+    throw new TypeError("[tiny-signal] Expected a signal, computed or memo");
+  }
+  return source[OBSERVABLE]();
+}
+
+/**
+ * @public
+ * Follows an Observable, or anything with an Observable interop method such
+ * as RxJS subjects. Holds `initialValue` until the first value arrives.
+ * Disposing the signal, or the owner it was created in, unsubscribes.
+ *
+ * @template T
+ * @param {Object} observable - Observable or interop source
+ * @param {T} [initialValue] - Value before the first emission
+ * @param {Object} [options={}] - Configuration options
+ * @param {function(any): void} [options.onError] - Receives the error the
+ *   Observable ends with; defaults to the boundaries of the current owner,
+ *   then the error reporter
+ * @returns {{readonly value: T, peek(): T, dispose(): void}} Read-only signal
+ */
+export function fromObservable(observable, initialValue, options = {}) {
+  const { onError = createErrorHandler() } = options;
+  const source =
+    typeof observable[OBSERVABLE] === "function"
+      ? observable[OBSERVABLE]()
+      : observable;
+  const out = signal(initialValue);
+  const subscription = source.subscribe({
+    next: (value) => {
+      out.value = value;
+    },
+    error: onError,
+  });
+  const stop = () =>
+    typeof subscription === "function"
+      ? subscription()
+      : subscription?.unsubscribe();
+  return readOnly(out, null, stop);
+}
@@ -0,0 +1,279 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  signal,
+  computed,
+  memo,
+  effect,
+  createRoot,
+  catchError,
+  setErrorReporter,
+  OBSERVABLE,
+} from "./signal.js";
+import {
+  debounced,
+  throttled,
+  filtered,
+  distinct,
+  delayed,
+  scan,
+  combine,
+  pairwise,
+  toObservable,
+  fromObservable,
+} from "./operators.js";
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("operators", () => {
+  it("should debounce changes", () => {
+    vi.useFakeTimers();
+    const query = signal("a");
+    const search = debounced(query, 100);
+    const seen = [];
+    effect(() => {
+      seen.push(search.value);
+    });
+
+    query.value = "ab";
+    vi.advanceTimersByTime(50);
+    query.value = "abc";
+    vi.advanceTimersByTime(99);
+    expect(search.value).toBe("a");
+    vi.advanceTimersByTime(1);
+    expect(seen).toEqual(["a", "abc"]);
+  });
+
+  it("should throttle changes, keeping the latest value", () => {
+    vi.useFakeTimers();
+    const position = signal(0);
+    const sampled = throttled(position, 100);
+    expect(sampled.value).toBe(0);
+
+    vi.advanceTimersByTime(100);
+    position.value = 1;
+    expect(sampled.value).toBe(1);
+    position.value = 2;
+    position.value = 3;
+    expect(sampled.value).toBe(1);
+    vi.advanceTimersByTime(100);
+    expect(sampled.value).toBe(3);
+
+    vi.advanceTimersByTime(100);
+    position.value = 4;
+    expect(sampled.value).toBe(4);
+  });
+
+  it("should filter values", () => {
+    const n = signal(1);
+    const even = filtered(n, (v) => v % 2 === 0);
+    expect(even.value).toBe(undefined);
+
+    n.value = 2;
+    n.value = 3;
+    expect(even.value).toBe(2);
+    n.value = 4;
+    expect(even.value).toBe(4);
+  });
+
+  it("should only notify for distinct values", () => {
+    const user = signal({ id: 1, name: "Ada" });
+    const byId = distinct(user, (a, b) => a.id === b.id);
+    const runs = vi.fn();
+    effect(() => runs(byId.value));
+
+    user.value = { id: 1, name: "Ada L." };
+    expect(runs).toHaveBeenCalledTimes(1);
+    user.value = { id: 2, name: "Grace" };
+    expect(runs).toHaveBeenCalledTimes(2);
+    expect(byId.value.name).toBe("Grace");
+  });
+
+  it("should delay every change", () => {
+    vi.useFakeTimers();
+    const s = signal(0);
+    const late = delayed(s, 100);
+    const seen = [];
+    effect(() => {
+      seen.push(late.value);
+    });
+
+    s.value = 1;
+    vi.advanceTimersByTime(50);
+    s.value = 2;
+    vi.advanceTimersByTime(50);
+    expect(late.value).toBe(1);
+    vi.advanceTimersByTime(50);
+    expect(seen).toEqual([0, 1, 2]);
+  });
+
+  it("should accumulate values", () => {
+    const n = signal(1);
+    const total = scan(n, (sum, v) => sum + v, 10);
+    expect(total.value).toBe(11);
+    n.value = 5;
+    expect(total.value).toBe(16);
+  });
+
+  it("should combine objects and arrays of sources", () => {
+    const x = signal(1);
+    const y = computed(() => x.value * 2);
+    const z = memo(() => x.value * 3);
+
+    const point = combine({ x, y });
+    const list = combine([x, z]);
+    expect(point.value).toEqual({ x: 1, y: 2 });
+    expect(list.value).toEqual([1, 3]);
+
+    x.value = 2;
+    expect(point.value).toEqual({ x: 2, y: 4 });
+    expect(list.value).toEqual([2, 6]);
+  });
+
+  it("should emit previous and current values", () => {
+    const s = signal("a");
+    const pairs = pairwise(s);
+    expect(pairs.value).toEqual([undefined, "a"]);
+    s.value = "b";
+    expect(pairs.value).toEqual(["a", "b"]);
+  });
+
+  it("should not track reads made by callbacks", () => {
+    const n = signal(1);
+    const limit = signal(10);
+    const runs = vi.fn((sum, v) => Math.min(sum + v, limit.value));
+    const total = scan(n, runs, 0);
+
+    limit.value = 5;
+    expect(runs).toHaveBeenCalledTimes(1);
+    expect(total.value).toBe(1);
+  });
+
+  it("should clear timers when disposed", () => {
+    vi.useFakeTimers();
+    const s = signal(0);
+    const operators = [debounced(s, 100), throttled(s, 100), delayed(s, 100)];
+    s.value = 1;
+    s.value = 2;
+    operators.forEach((op) => op.dispose());
+
+    expect(vi.getTimerCount()).toBe(0);
+    vi.advanceTimersByTime(100);
+    expect(operators.map((op) => op.peek())).toEqual([0, 0, 0]);
+  });
+
+  it("should clear timers when their owner is disposed", () => {
+    vi.useFakeTimers();
+    const s = signal(0);
+    const late = createRoot((dispose) => {
+      const op = delayed(s, 100);
+      s.value = 1;
+      dispose();
+      return op;
+    });
+
+    expect(vi.getTimerCount()).toBe(0);
+    s.value = 2;
+    vi.advanceTimersByTime(100);
+    expect(late.peek()).toBe(0);
+  });
+});
+
+describe("observable interop", () => {
+  // Minimal Observable source, as found in event-stream libraries
+  function createSubject() {
+    const observers = new Set();
+    return {
+      subscribe(observer) {
+        observers.add(observer);
+        return { unsubscribe: () => observers.delete(observer) };
+      },
+      emit: (value) => observers.forEach((o) => o.next(value)),
+      fail: (err) => observers.forEach((o) => o.error(err)),
+      observers,
+    };
+  }
+
+  it("should convert signals to Observables", () => {
+    const count = signal(1);
+    const next = vi.fn();
+    const subscription = toObservable(count).subscribe(next);
+    count.value = 2;
+    subscription.unsubscribe();
+    count.value = 3;
+
+    expect(next.mock.calls).toEqual([[1], [2]]);
+    expect(() => toObservable({})).toThrow(TypeError);
+  });
+
+  it("should follow an Observable until disposed", () => {
+    const subject = createSubject();
+    const latest = fromObservable(subject, "none");
+    expect(latest.value).toBe("none");
+
+    subject.emit("a");
+    expect(latest.value).toBe("a");
+    latest.dispose();
+    expect(subject.observers.size).toBe(0);
+  });
+
+  it("should use the interop method of an Observable", () => {
+    const source = signal(1);
+    const mirror = fromObservable({ [OBSERVABLE]: () => toObservable(source) });
+    expect(mirror.value).toBe(1);
+    source.value = 2;
+    expect(mirror.value).toBe(2);
+  });
+
+  it("should report Observable errors", () => {
+    const subject = createSubject();
+    const onError = vi.fn();
+    fromObservable(subject, 0, { onError });
+    subject.fail(new Error("closed"));
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+  });
+
+  it("should pass Observable errors to boundaries by default", () => {
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    const handler = vi.fn();
+    const subject = createSubject();
+    catchError(() => fromObservable(subject), handler);
+    const other = createSubject();
+    fromObservable(other);
+
+    subject.fail(new Error("caught"));
+    other.fail(new Error("reported"));
+    setErrorReporter(null);
+
+    expect(handler.mock.calls[0][0].message).toBe("caught");
+    expect(reporter.mock.calls[0][0].message).toBe("reported");
+  });
+
+  it("should unsubscribe when the owner is disposed", () => {
+    const subject = createSubject();
+    createRoot((dispose) => {
+      fromObservable(subject);
+      dispose();
+    });
+    expect(subject.observers.size).toBe(0);
+  });
+
+  it("should let operator results be subscribed to", async () => {
+    const n = signal(1);
+    const pairs = pairwise(n);
+    const seen = [];
+    const unsubscribe = pairs.subscribe((pair) => seen.push(pair));
+    n.value = 2;
+    unsubscribe();
+    expect(seen).toEqual([
+      [undefined, 1],
+      [1, 2],
+    ]);
+
+    const iterator = pairs[Symbol.asyncIterator]();
+    expect(await iterator.next()).toEqual({ value: [1, 2], done: false });
+    await iterator.return();
+  });
+});
@@ -0,0 +1,205 @@
+import { signal, effect, batch, untrack, onCleanup } from "./signal.js";
+import { readSource } from "./utils.js";
+import { transitions } from "./transition.js";
+
+/**
+ * @public
+ * Creates a resource that loads async data and exposes it reactively, together
+ * with its loading and error state. The fetcher runs whenever the source
+ * changes; a request that is superseded by a newer one is aborted and its
+ * result ignored. A source value of `null`, `undefined` or `false` skips
+ * fetching.
+ *
+ * @template S, T
+ * @param {Object|Function|any} source - Signal, computed or getter whose value
+ *   is passed to the fetcher; any other value is passed as is. May be omitted,
+ *   in which case the first argument is the fetcher and it runs once
+ * @param {function(S, {signal: AbortSignal, value: T|undefined, refetching: any}):
+ *   (T|Promise<T>)} fetcher - Loads data for a source value. `signal` is
+ *   aborted when the request is superseded or the resource is disposed
+ * @param {Object} [options={}] - Configuration options
+ * @param {T} [options.initialValue] - Value before the first request settles
+ * @returns {{
+ *   get value(): T|undefined,
+ *   get latest(): T|undefined,
+ *   get loading(): boolean,
+ *   get error(): any,
+ *   refetch(info?: any): Promise<T|undefined>,
+ *   mutate(value: T): T,
+ *   dispose(): void
+ * }} A reactive resource
+ */
+export function resource(source, fetcher, options = {}) {
+  if (fetcher === undefined) {
+    fetcher = source;
+    source = true;
+  }
+
+  const tracked =
+    typeof source === "function" ||
+    (source !== null && typeof source === "object" && "value" in source);
+  const value = signal(options.initialValue);
+  const latest = signal(options.initialValue);
+  const loading = signal(false);
+  const error = signal(undefined);
+  // Request whose outcome will be applied, and requests held by transitions
+  let controller = null;
+  const held = new Set();
+  // Source value that `value` belongs to
+  let input;
+  let started = false;
+
+  function abort() {
+    if (!controller) return;
+    controller.abort();
+    controller = null;
+  }
+
+  function fetch(next, refetching, current) {
+    try {
+      return Promise.resolve(
+        untrack(() =>
+          fetcher(next, {
+            signal: current.signal,
+            value: latest.peek(),
+            refetching,
+          })
+        )
+      );
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  // Applies the outcome of a request unless it was superseded
+  function settle(current, next, outcome) {
+    if (current !== controller) return false;
+    controller = null;
+    input = next;
+    batch(() => {
+      if (outcome.failed) {
+        error.value = outcome.error;
+      } else {
+        value.value = outcome.data;
+        latest.value = outcome.data;
+        error.value = undefined;
+      }
+      loading.value = false;
+    });
+    return true;
+  }
+
+  function load(next, refetching) {
+    const transition = transitions.active;
+    if (next == null || next === false) {
+      if (!transition) {
+        abort();
+        loading.value = false;
+      }
+      return Promise.resolve(undefined);
+    }
+
+    const current = new AbortController();
+    if (!transition) {
+      abort();
+      controller = current;
+      batch(() => {
+        loading.value = true;
+        error.value = undefined;
+      });
+    }
+
+    const request = fetch(next, refetching, current);
+    if (!transition) {
+      return request.then(
+        (data) =>
+          settle(current, next, { data, failed: false }) ? data : undefined,
+        (err) => {
+          settle(current, next, { error: err, failed: true });
+          return undefined;
+        }
+      );
+    }
+
+    // Inside a transition the outcome is applied on commit, together with
+    // the writes that caused the request, and the current state is kept
+    const outcome = request.then(
+      (data) => ({ data, failed: false }),
+      (err) => ({ error: err, failed: true })
+    );
+    held.add(current);
+    transition.track(
+      outcome.then((result) =>
+        transition.onCommit(() => {
+          held.delete(current);
+          if (current.signal.aborted) return;
+          abort();
+          controller = current;
+          settle(current, next, result);
+        })
+      )
+    );
+    return outcome.then((result) => result.data);
+  }
+
+  // Starts a request for the source value as seen by a starting transition
+  function prepare() {
+    const next = readSource(source);
+    if (!Object.is(next, input)) load(next, false);
+  }
+
+  const tracker = effect(() => {
+    const next = tracked ? readSource(source) : source;
+    onCleanup(abort);
+    if (tracked) {
+      transitions.hooks.add(prepare);
+      onCleanup(() => transitions.hooks.delete(prepare));
+    }
+
+    untrack(() => {
+      // Skip source values already loaded by a committed transition
+      if (started && Object.is(next, input)) return;
+      // A new source value invalidates data loaded for the previous one
+      if (started) value.value = undefined;
+      started = true;
+      input = next;
+      load(next, false);
+    });
+  });
+
+  return {
+    get value() {
+      return value.value;
+    },
+
+    get latest() {
+      return latest.value;
+    },
+
+    get loading() {
+      return loading.value;
+    },
+
+    get error() {
+      return error.value;
+    },
+
+    refetch(info = true) {
+      return load(input, info);
+    },
+
+    mutate(next) {
+      batch(() => {
+        value.value = next;
+        latest.value = next;
+      });
+      return next;
+    },
+
+    dispose() {
+      tracker.dispose();
+      held.forEach((current) => current.abort());
+      held.clear();
+    },
+  };
+}
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  signal,
+  effect,
+  createRoot,
+  startTransition,
+  isPending,
+} from "./signal.js";
+import { resource } from "./resource.js";
+
+// Promise that the test resolves or rejects by hand
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe("resource", () => {
+  it("should expose loading and value states", async () => {
+    const request = deferred();
+    const r = resource(() => request.promise);
+
+    expect(r.loading).toBe(true);
+    expect(r.value).toBeUndefined();
+
+    request.resolve("data");
+    await request.promise;
+    expect(r.loading).toBe(false);
+    expect(r.value).toBe("data");
+    expect(r.latest).toBe("data");
+  });
+
+  it("should refetch when the source changes", async () => {
+    const id = signal(1);
+    const fetcher = vi.fn(async (value) => `user ${value}`);
+    const r = resource(id, fetcher);
+
+    await vi.waitFor(() => expect(r.value).toBe("user 1"));
+
+    id.value = 2;
+    expect(r.loading).toBe(true);
+    expect(r.value).toBeUndefined(); // Cleared for the new source
+    expect(r.latest).toBe("user 1"); // Kept until the new value arrives
+
+    await vi.waitFor(() => expect(r.value).toBe("user 2"));
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("should abort superseded requests and ignore their results", async () => {
+    const id = signal(1);
+    const requests = [];
+    const r = resource(id, (value, { signal }) => {
+      const request = deferred();
+      requests.push({ value, signal, request });
+      return request.promise;
+    });
+
+    id.value = 2;
+    expect(requests[0].signal.aborted).toBe(true);
+    expect(requests[1].signal.aborted).toBe(false);
+
+    requests[1].request.resolve("second");
+    await requests[1].request.promise;
+    requests[0].request.resolve("first");
+    await requests[0].request.promise;
+
+    expect(r.value).toBe("second");
+  });
+
+  it("should store errors and clear them on the next request", async () => {
+    const request = deferred();
+    const r = resource(() => request.promise);
+
+    request.reject(new Error("offline"));
+    await vi.waitFor(() => expect(r.error?.message).toBe("offline"));
+    expect(r.loading).toBe(false);
+
+    const retry = r.refetch();
+    expect(r.error).toBeUndefined();
+    expect(r.loading).toBe(true);
+    await retry;
+  });
+
+  it("should treat synchronous fetcher errors as failed requests", async () => {
+    const r = resource(() => {
+      throw new Error("sync");
+    });
+
+    await vi.waitFor(() => expect(r.error?.message).toBe("sync"));
+  });
+
+  it("should skip fetching while the source is nullish or false", async () => {
+    const id = signal(null);
+    const fetcher = vi.fn(async (value) => value * 2);
+    const r = resource(id, fetcher);
+
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(r.loading).toBe(false);
+
+    id.value = 21;
+    await vi.waitFor(() => expect(r.value).toBe(42));
+  });
+
+  it("should refetch on demand with refetching info", async () => {
+    const fetcher = vi.fn(async (_, { refetching }) => refetching);
+    const r = resource(fetcher);
+
+    await vi.waitFor(() => expect(r.value).toBe(false));
+    await expect(r.refetch("manual")).resolves.toBe("manual");
+    expect(r.value).toBe("manual");
+  });
+
+  it("should set the value directly with mutate", async () => {
+    const r = resource(async () => 1);
+    await vi.waitFor(() => expect(r.value).toBe(1));
+
+    r.mutate(5);
+    expect(r.value).toBe(5);
+    expect(r.latest).toBe(5);
+  });
+
+  it("should notify effects reading the resource", async () => {
+    const request = deferred();
+    const r = resource(() => request.promise);
+    const seen = [];
+    effect(() => seen.push([r.loading, r.value]));
+
+    request.resolve("done");
+    await request.promise;
+    expect(seen).toEqual([
+      [true, undefined],
+      [false, "done"],
+    ]);
+  });
+
+  it("should abort in-flight requests when its owner is disposed", () => {
+    let abortSignal;
+    const dispose = createRoot((dispose) => {
+      resource((_, { signal }) => {
+        abortSignal = signal;
+        return deferred().promise;
+      });
+      return dispose;
+    });
+
+    dispose();
+    expect(abortSignal.aborted).toBe(true);
+  });
+
+  it("should commit source changes and their data together in a transition", async () => {
+    const id = signal(1);
+    const requests = {};
+    const r = resource(id, (value) => {
+      requests[value] = deferred();
+      return requests[value].promise;
+    });
+    requests[1].resolve("user 1");
+    await requests[1].promise;
+
+    const seen = [];
+    effect(() => seen.push([id.value, r.value, r.loading]));
+
+    const done = startTransition(() => {
+      id.value = 2;
+    });
+    expect(isPending.value).toBe(true);
+    expect(id.value).toBe(1);
+    expect(r.value).toBe("user 1");
+    expect(r.loading).toBe(false);
+
+    requests[2].resolve("user 2");
+    await done;
+    expect(seen).toEqual([
+      [1, "user 1", false],
+      [2, "user 2", false],
+    ]);
+    expect(Object.keys(requests)).toEqual(["1", "2"]); // No refetch on commit
+  });
+
+  it("should wait for refetches started inside a transition", async () => {
+    let count = 0;
+    const request = deferred();
+    const r = resource(() => (count++ ? request.promise : "first"));
+    await vi.waitFor(() => expect(r.value).toBe("first"));
+
+    const done = startTransition(() => {
+      r.refetch();
+    });
+    expect(r.loading).toBe(false);
+
+    request.resolve("second");
+    await done;
+    expect(r.value).toBe("second");
+  });
+});
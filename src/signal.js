@@ -1,580 +1,2027 @@
 import {
-  topologicalSort,
+  UNREAD,
   subscribe,
   clearDeps,
-  ComputationQueue,
+  markDepsUnread,
+  releaseUnread,
+  readSource,
 } from "./utils.js";
+import { transitions, createTransitionState } from "./transition.js";
+import {
+  STALE,
+  USER_EFFECT,
+  RUNNING,
+  DISPOSED,
+  ERROR,
+  CHECK,
+  NODE,
+} from "./node.js";
 
-let currentComputation = null;
-let batched = null;
-let effects = null;
-let scheduler = null;
-const middleware = [];
-const typeMiddleware = {};
 const MAX_POOL_SIZE = 50;
-const ctxPool = [];
 
-const STALE = 1 << 0; // 1
-const USER_EFFECT = 1 << 1; // 2
-const QUEUED = 1 << 2; // 4
-const RUNNING = 1 << 3; // 8
-const DISPOSED = 1 << 4; // 16
-const ERROR = 1 << 5; // 32
+// Initial value of computations that have not produced a result yet
+const UNSET = Symbol("unset");
+
+/**
+ * @public
+ * Returned by a middleware to veto an operation: a `set` is cancelled and the
+ * signal keeps its value; for other operations the remaining middleware is
+ * skipped and the original value is used.
+ */
+export const SKIP = Symbol("tiny-signal.skip");
+
+/**
+ * @public
+ * Key of the method turning a signal or computed into an Observable:
+ * `Symbol.observable` when a polyfill defines it, otherwise `"@@observable"`,
+ * the key Observable libraries fall back to.
+ */
+export const OBSERVABLE =
+  /** @type {any} */ (Symbol).observable || "@@observable";
+
+/**
+ * @public
+ * Error thrown when a computation depends on itself, either by reading itself
+ * while running or by writing to a signal it depends on.
+ */
+export class CycleError extends Error {
+  /**
+   * @param {Object[]} chain - Nodes forming the cycle, first and last being the
+   *   same computation
+   */
+  constructor(chain) {
+    const path = chain.map(describeNode);
+    super(`[tiny-signal] Cycle detected: ${path.join(" → ")}`);
+    this.name = "CycleError";
+    this.path = path;
+  }
+}
 
-let hasMiddleware = false;
+/**
+ * @private
+ * Describes a graph node for error messages, using its `name` when given.
+ *
+ * @param {Object} node - Signal node or computation
+ * @returns {string} Description such as `computed "total"`
+ */
+function describeNode(node) {
+  let kind = "signal";
+  if (node.fn) kind = node.flags & USER_EFFECT ? "effect" : "computed";
+  return node.name ? `${kind} "${node.name}"` : kind;
+}
 
 /**
  * @private
- * Retrieves a context object from the pool for middleware execution.
+ * Depth-first search through subscribers for a path between two nodes.
  *
- * @returns {Object} Empty context object
+ * @param {Object} from - Start node
+ * @param {Object} to - Target node
+ * @param {Set<Object>} seen - Nodes already visited
+ * @returns {Object[]} Nodes from `from` to `to`, empty if unreachable
  */
-function getCtx() {
-  return ctxPool.pop() || {};
+function findPath(from, to, seen) {
+  if (from === to) return [to];
+  if (!from.subs || seen.has(from)) return [];
+  seen.add(from);
+  for (const sub of from.subs) {
+    const rest = findPath(sub, to, seen);
+    if (rest.length) return [from, ...rest];
+  }
+  return [];
 }
 
 /**
  * @private
- * Returns a context object to the pool after use, clearing all properties.
+ * Resolves the `equals` option into a comparator, or null when every update
+ * should be treated as a change.
  *
- * @param {Object} ctx - The context object to release
+ * @param {function(any, any): boolean|false|undefined} equals - Option value
+ * @returns {(function(any, any): boolean)|null} Comparator or null
+ */
+function resolveEquals(equals) {
+  if (equals === false) return null;
+  return typeof equals === "function" ? equals : Object.is;
+}
+
+/**
+ * @private
+ * Normalizes middleware passed to `use`, a `middleware` option or a scope into
+ * pipeline entries.
+ *
+ * @param {Function|Function[]} m - Middleware function(s)
+ * @param {Object} options - Registration options
+ * @param {string[]} [options.types] - Operation types to intercept
+ * @param {number} [options.priority] - Higher priority runs earlier; defaults
+ *   to the function's own `priority` property, or 0
+ * @param {boolean} [options.propagateErrors=false] - Rethrow errors
+ * @returns {Object[]} Middleware entries
+ */
+function toEntries(m, options) {
+  const fns = Array.isArray(m) ? m : [m];
+  const types =
+    options.types && options.types.length ? new Set(options.types) : null;
+  return fns.map((fn) => ({
+    fn,
+    types,
+    priority: options.priority ?? fn.priority ?? 0,
+    propagateErrors: !!options.propagateErrors,
+  }));
+}
+
+/**
+ * @private
+ * Default error reporter used when no boundary handles an error.
+ *
+ * @param {any} err - The unhandled error
  * @returns {void}
  */
-function releaseCtx(ctx) {
-  if (ctxPool.length >= MAX_POOL_SIZE) return;
-  for (const key in ctx) {
-    delete ctx[key];
+function reportError(err) {
+  console.error("[tiny-signal] Unhandled error:", err);
+}
+
+/**
+ * @private
+ * Registers a node as a child of its owner so it is disposed with it.
+ *
+ * @param {Object} node - Node with an `owner` field
+ * @returns {Object} The same node
+ */
+function adopt(node) {
+  const owner = node.owner;
+  if (owner) (owner.children || (owner.children = new Set())).add(node);
+  return node;
+}
+
+/**
+ * @private
+ * Creates an Observable of a signal or computed. Subscribers receive the
+ * current value at once, then every change. An error thrown while computing
+ * the value is passed to `error` and ends the subscription.
+ *
+ * @param {{subscribe: Function}} source - Signal or computed
+ * @returns {{subscribe: Function}} Observable
+ */
+function observe(source) {
+  return {
+    subscribe(observer) {
+      const next = typeof observer === "function" ? observer : observer?.next;
+      let closed = false;
+      let stop = null;
+      const unsubscribe = () => {
+        closed = true;
+        stop?.();
+      };
+      stop = source.subscribe(
+        (value) => next?.(value),
+        (err) => {
+          if (closed) return;
+          unsubscribe();
+          if (observer?.error) observer.error(err);
+          else reportError(err);
+        }
+      );
+      if (closed) stop();
+      return {
+        unsubscribe,
+        get closed() {
+          return closed;
+        },
+      };
+    },
+    [OBSERVABLE]() {
+      return this;
+    },
+  };
+}
+
+/**
+ * @private
+ * Creates an async iterator over the distinct values of a signal or computed,
+ * starting with the current one. Values arriving while the consumer is busy
+ * are queued. An error thrown while computing the value rejects the pending
+ * or next call and ends the iteration.
+ *
+ * @param {{subscribe: Function}} source - Signal or computed
+ * @returns {AsyncIterableIterator<any>} Iterator
+ */
+function iterate(source) {
+  const queue = [];
+  let waiting = null;
+  let failure = null;
+  let done = false;
+  let last = UNSET;
+  let stop = null;
+
+  const finish = () => {
+    done = true;
+    stop?.();
+    queue.length = 0;
+  };
+
+  stop = source.subscribe(
+    (value) => {
+      if (Object.is(value, last)) return;
+      last = value;
+      if (!waiting) return queue.push(value);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ value, done: false });
+    },
+    (err) => {
+      finish();
+      if (!waiting) return (failure = { err });
+      const { reject } = waiting;
+      waiting = null;
+      reject(err);
+    }
+  );
+  if (done) stop();
+
+  return {
+    next() {
+      if (queue.length) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (failure) {
+        const { err } = failure;
+        failure = null;
+        return Promise.reject(err);
+      }
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+    return() {
+      finish();
+      if (waiting) waiting.resolve({ value: undefined, done: true });
+      waiting = null;
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
+// Stack frame location: file, line and column
+const FRAME = /([^\s(@]+):(\d+):(\d+)\)?$/;
+
+/**
+ * @private
+ * Returns the file of the first stack frame found in a stack trace.
+ *
+ * @param {string} [stack] - Stack trace
+ * @returns {string|null} File of the frame
+ */
+function stackFile(stack) {
+  for (const line of (stack || "").split("\n")) {
+    const match = FRAME.exec(line.trim());
+    if (match) return match[1];
   }
-  ctxPool.push(ctx);
+  return null;
 }
 
+// Directory of the package's modules, or of the bundle, whose frames are
+// skipped when locating a write
+const OWN_DIR = (stackFile(new Error().stack) || "").replace(/[^/\\]*$/, "");
+
 /**
  * @private
- * Applies middleware transformations to a value based on operation type.
+ * Whether a stack frame's file is one of the package's modules, such as
+ * `store.js` or `operators.js`. Colocated test files are not.
  *
- * @param {string} type - The operation type (e.g., 'get', 'set', 'init')
- * @param {any} value - The value to transform
- * @param {Object|null} ctx - Additional context information for middleware
- * @returns {any} The transformed value after middleware processing
+ * @param {string} file - File of a stack frame
+ * @returns {boolean} True for frames inside the library
  */
-function applyMiddleware(type, value, ctx) {
-  // Fast path for no middleware
-  if (!hasMiddleware && !typeMiddleware[type]?.length) return value;
-
-  // Check type-specific middleware first
-  const typeMiddlewares = typeMiddleware[type];
-  if (typeMiddlewares?.length) {
-    for (let i = 0; i < typeMiddlewares.length; i++) {
+function isOwnFile(file) {
+  if (!OWN_DIR || !file.startsWith(OWN_DIR)) return false;
+  const name = file.slice(OWN_DIR.length);
+  return !/[/\\]/.test(name) && !name.includes(".test.");
+}
+
+/**
+ * @private
+ * Returns where the code calling into the library is, by skipping the frames
+ * of its modules in a fresh stack trace.
+ *
+ * @returns {string|null} Location such as `file:///app.js:12:5`, or null when
+ *   stack traces are unavailable
+ */
+function callerLocation() {
+  // Writes made through stores or collections are many frames deep
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  const stack = new Error().stack;
+  Error.stackTraceLimit = limit;
+  for (const line of (stack || "").split("\n")) {
+    const match = FRAME.exec(line.trim());
+    if (match && !isOwnFile(match[1])) return match[0].replace(/\)$/, "");
+  }
+  return null;
+}
+
+/**
+ * @private
+ * Resolves a scheduling strategy into a function that runs a callback later.
+ * Strategies that rely on DOM globals fall back to timers outside browsers.
+ *
+ * @param {'animation'|'idle'|'microtask'|Function|false|null} s - Strategy
+ * @returns {(function(function(): void): void)|null} Scheduler, or null for
+ *   synchronous updates
+ */
+function resolveScheduler(s) {
+  if (typeof s === "function") return s;
+  if (s === "microtask") return queueMicrotask;
+  if (s === "animation") {
+    return typeof globalThis.requestAnimationFrame === "function"
+      ? (fn) => globalThis.requestAnimationFrame(() => fn())
+      : (fn) => setTimeout(fn, 16);
+  }
+  if (s === "idle") {
+    return typeof globalThis.requestIdleCallback === "function"
+      ? (fn) => globalThis.requestIdleCallback(() => fn())
+      : (fn) => setTimeout(fn, 1);
+  }
+  return null;
+}
+
+/**
+ * @private
+ * Builds a runtime: a complete, independent reactive system. Its graph,
+ * batches, scheduler, error reporter and middleware live in this closure, and
+ * its transition state is passed in so that async primitives can share it.
+ * Modules built on the top-level exports, such as `store`, `resource` and the
+ * operators, always use the default runtime.
+ *
+ * @param {{active: Object|null, hooks: Set<Function>}} transitions - Transition
+ *   state shared with async primitives
+ */
+function buildRuntime(transitions) {
+  let currentComputation = null;
+  let currentOwner = null;
+  let clock = 0;
+  let batchId = 0;
+  // Effects queued by the current batch, or null outside batches. Batches
+  // reuse one array so writes allocate nothing
+  let effects = null;
+  const effectQueue = [];
+  // Time of the current batch, read from the clock on first use
+  let batchTime = 0;
+  let scheduler = null;
+  // Effects waiting for the next scheduled flush
+  let scheduled = [];
+  let flushRequested = false;
+  let flushing = false;
+  let errorReporter = null;
+  // Computations currently running, outermost first
+  const running = [];
+  // Middleware entries ordered by priority, then registration
+  const middleware = [];
+  // Operation type → middleware entries handling it
+  const pipelines = new Map();
+  const ctxPool = [];
+  let hasMiddleware = false;
+  // Middleware entries of the enclosing `withMiddleware` scopes
+  let scopeMiddleware = null;
+  // Whether writes record their causes, and the ID of the last write
+  let tracing = false;
+  let traceId = 0;
+
+  /**
+   * @private
+   * Retrieves a context object from the pool for middleware execution.
+   *
+   * @returns {Object} Empty context object
+   */
+  function getCtx() {
+    return ctxPool.pop() || {};
+  }
+
+  /**
+   * @private
+   * Returns a context object to the pool after use, clearing all properties.
+   *
+   * @param {Object} ctx - The context object to release
+   * @returns {void}
+   */
+  function releaseCtx(ctx) {
+    if (ctxPool.length >= MAX_POOL_SIZE) return;
+    for (const key in ctx) {
+      delete ctx[key];
+    }
+    ctxPool.push(ctx);
+  }
+
+  /**
+   * @private
+   * Returns the middleware entries that handle an operation type, in pipeline
+   * order. Cached until middleware is added or removed.
+   *
+   * @param {string} type - The operation type
+   * @returns {Object[]} Middleware entries
+   */
+  function getPipeline(type) {
+    let pipeline = pipelines.get(type);
+    if (!pipeline) {
+      pipeline = middleware.filter(
+        (entry) => !entry.types || entry.types.has(type)
+      );
+      pipelines.set(type, pipeline);
+    }
+    return pipeline;
+  }
+
+  /**
+   * @private
+   * Runs a value through a list of middleware entries. Each middleware
+   * receives the value returned by the previous one, so any value, including
+   * `undefined` and `null`, can be passed on. Errors go to the error reporter,
+   * unless the middleware was registered with `propagateErrors`.
+   *
+   * @param {Object[]} pipeline - Middleware entries, in order
+   * @param {string} type - The operation type
+   * @param {any} value - The value to transform
+   * @param {Object|null} ctx - Additional context information for middleware
+   * @returns {any} The transformed value, or `SKIP` if a middleware vetoed
+   */
+  function runPipeline(pipeline, type, value, ctx) {
+    for (let i = 0; i < pipeline.length; i++) {
+      const entry = pipeline[i];
+      if (entry.types && !entry.types.has(type)) continue;
+      let result;
       try {
-        value = typeMiddlewares[i](type, value, ctx) ?? value;
+        result = entry.fn(type, value, ctx);
       } catch (err) {
-        console.error(`[tiny-signal] Type middleware error in "${type}":`, err);
+        if (entry.propagateErrors) throw err;
+        (errorReporter || reportError)(err);
+        continue;
       }
+      if (result === SKIP) return SKIP;
+      value = result;
     }
+    return value;
+  }
+
+  /**
+   * @private
+   * Runs an operation through global middleware, then through the local
+   * middleware of the node it applies to. A middleware returning `SKIP` stops
+   * the pipeline: a `set` is cancelled, other operations keep the value they
+   * started with.
+   *
+   * @param {string} type - The operation type (e.g., 'get', 'set', 'init')
+   * @param {any} value - The value to transform
+   * @param {Object|null} ctx - Additional context information for middleware
+   * @param {Object[]|null} [local] - Middleware of the node, scope first
+   * @returns {any} The transformed value, or `SKIP` for a cancelled `set`
+   */
+  function applyMiddleware(type, value, ctx, local) {
+    let next = hasMiddleware
+      ? runPipeline(getPipeline(type), type, value, ctx)
+      : value;
+    if (local && next !== SKIP) next = runPipeline(local, type, next, ctx);
+    if (next === SKIP) return type === "set" ? SKIP : value;
+    return next;
   }
 
-  // Then general middleware
-  if (!hasMiddleware) return value;
+  /**
+   * @private
+   * Collects the local middleware of a node being created: middleware of the
+   * enclosing `withMiddleware` scopes, then the node's own.
+   *
+   * @param {Function|Function[]|undefined} own - `middleware` option
+   * @returns {Object[]|null} Middleware entries, or null if there are none
+   */
+  function localMiddleware(own) {
+    if (!own) return scopeMiddleware;
+    const entries = toEntries(own, {});
+    if (!entries.length) return scopeMiddleware;
+    return scopeMiddleware ? scopeMiddleware.concat(entries) : entries;
+  }
 
-  const len = middleware.length;
-  for (let i = 0; i < len; i++) {
+  /**
+   * @private
+   * Executes a function within a batch context and processes all resulting
+   * updates. Writes only mark computations; queued effects are flushed once the
+   * outermost batch completes, each pulling the computeds it depends on. When
+   * scheduling is enabled the effects are handed to the scheduler instead.
+   *
+   * @template T, A
+   * @param {function(A): T} fn - Function to execute within the batch
+   * @param {A} [arg] - Argument passed to `fn`, sparing callers a closure
+   * @returns {T} The result of the executed function
+   * @throws {Error} Rethrows the first error thrown by the function or while
+   *   flushing, once every queued effect has had its turn
+   */
+  function runUpdates(fn, arg) {
+    if (effects) return fn(arg); // Already in a batch
+
+    // Initialize batching state
+    batchId++;
+    effects = effectQueue;
+
+    let result;
+    let failed = false;
+    let error;
     try {
-      value = middleware[i](type, value, ctx) ?? value;
+      result = fn(arg);
     } catch (err) {
-      console.error(
-        `[tiny-signal] Middleware error in "${type}" at index ${i}:`,
-        err
-      );
+      failed = true;
+      error = err;
     }
+
+    // Writes made before a throw still take effect, so their effects run
+    // too; otherwise they would stay marked and miss every later write
+    try {
+      if (scheduler && !flushing) {
+        if (effects.length) scheduleEffects(effects);
+      } else {
+        // Effects queued while flushing are appended and picked up by this loop
+        for (let i = 0; i < effects.length; i++) {
+          const effect = effects[i];
+          if (effect.flags & DISPOSED) continue;
+          try {
+            runTop(effect);
+          } catch (err) {
+            // Keep flushing; the first error is rethrown afterwards
+            if (!failed) {
+              failed = true;
+              error = err;
+            }
+          }
+        }
+      }
+    } finally {
+      effectQueue.length = 0;
+      effects = null;
+      batchTime = 0;
+    }
+
+    if (failed) throw error;
+    return result;
   }
-  return value;
-}
 
-/**
- * @private
- * Executes a function within a batch context and processes all resulting updates.
- * Handles topological sorting of computations and scheduling of updates.
- *
- * @template T
- * @param {function(): T} fn - Function to execute within the batch
- * @returns {T} The result of the executed function
- * @throws {Error} Rethrows any errors from the executed function
- */
-function runUpdates(fn) {
-  if (batched) return fn(); // Already in a batch
+  /**
+   * @private
+   * Returns the time to record for a run or write. Everything happening in one
+   * batch shares a single clock read; work outside batches reads the clock
+   * itself.
+   *
+   * @returns {number} Milliseconds since the epoch
+   */
+  function now() {
+    if (!effects) return Date.now();
+    return batchTime || (batchTime = Date.now());
+  }
 
-  const computationQueue = new ComputationQueue();
-  const effectQueue = new ComputationQueue();
+  /**
+   * @private
+   * Queues effects for the next scheduled flush, requesting one if needed.
+   * Effects stay marked until they run, so each is queued at most once no
+   * matter how many writes happen before the flush.
+   *
+   * @param {Object[]} queue - Effects queued by a batch
+   * @returns {void}
+   */
+  function scheduleEffects(queue) {
+    for (let i = 0; i < queue.length; i++) scheduled.push(queue[i]);
+    if (flushRequested) return;
+    flushRequested = true;
+    scheduler(flushSync);
+  }
 
-  // Initialize batching state
-  batched = [];
-  effects = [];
-  let result;
+  /**
+   * @private
+   * Brings a queued effect up to date, first refreshing any dirty ancestors in
+   * its owner chain. A parent that re-runs disposes the children it created, so
+   * running ancestors first keeps stale children from running at all.
+   *
+   * @param {Object} computation - Queued effect
+   * @returns {void}
+   */
+  function runTop(computation) {
+    let ancestors = null;
+    for (let node = computation.owner; node; node = node.owner) {
+      if (node.fn && node.flags & (STALE | CHECK)) {
+        (ancestors || (ancestors = [])).push(node);
+      }
+    }
 
-  try {
-    result = fn();
+    if (ancestors) {
+      for (let i = ancestors.length - 1; i >= 0; i--) {
+        updateIfNecessary(ancestors[i]);
+        if (computation.flags & DISPOSED) return;
+      }
+    }
 
-    // Sort computations topologically to minimize recalculations
-    if (batched.length > 0) {
-      const sortedComputations = topologicalSort(batched);
+    updateIfNecessary(computation);
+  }
 
-      // Add to appropriate queue
-      for (let i = 0; i < sortedComputations.length; i++) {
-        const comp = sortedComputations[i];
-        if (comp.flags & DISPOSED) continue;
+  /**
+   * @private
+   * Builds the error for a computation re-entered while running: the running
+   * computations from the first entry onwards, back to the re-entered one.
+   *
+   * @param {Object} computation - Computation that was re-entered
+   * @returns {CycleError} Error describing the cycle
+   */
+  function reentryError(computation) {
+    const chain = running.slice(running.indexOf(computation));
+    chain.push(computation);
+    return new CycleError(chain);
+  }
 
-        // User effects go to main queue, others to effect queue
-        if (comp.flags & USER_EFFECT) {
-          computationQueue.add(comp, 1); // Lower priority, run after deps
-        } else {
-          effectQueue.add(comp, 0); // Higher priority
+  /**
+   * @private
+   * Builds the error for a write that reaches a running computation: the
+   * running computations from the reached one to the writer, then the path from
+   * the written signal down to the reached computation.
+   *
+   * @param {Object} origin - Signal node that was written
+   * @param {Object} computation - Running computation reached by the write
+   * @returns {CycleError} Error describing the cycle
+   */
+  function writeCycleError(origin, computation) {
+    const chain = running.slice(running.indexOf(computation));
+    return new CycleError(
+      chain.concat(findPath(origin, computation, new Set()))
+    );
+  }
+
+  /**
+   * @private
+   * Push phase: marks every live subscriber in a set, and everything downstream
+   * of it, as possibly changed. Computeds are only marked; effects are queued
+   * for the current batch. Must be called from within `runUpdates`.
+   *
+   * @param {Object} source - Signal or computed whose subscribers to mark
+   * @param {Object} origin - Signal node whose write started the propagation
+   * @returns {void}
+   * @throws {CycleError} If the write reaches a computation that is running
+   *   and has read the source during this run
+   */
+  function notify(source, origin) {
+    for (const computation of source.subs) {
+      // Already marked nodes have already marked their own subscribers
+      if (computation.flags & (DISPOSED | STALE | CHECK)) continue;
+      if (computation.flags & RUNNING) {
+        // Sources of the previous run stay subscribed until the run ends;
+        // only one read again in this run closes a cycle
+        if (computation.deps.get(source) !== UNREAD) {
+          throw writeCycleError(origin, computation);
         }
+        continue;
       }
+      computation.flags |= CHECK;
 
-      // Process computation queue
-      if (scheduler) {
-        while (!computationQueue.isEmpty) {
-          const comp = computationQueue.next();
-          scheduler(() => runComputation(comp));
-        }
-      } else {
-        while (!computationQueue.isEmpty) {
-          runComputation(computationQueue.next());
+      if (computation.flags & USER_EFFECT) effects.push(computation);
+      else if (computation.subs && computation.subs.size) {
+        notify(computation, origin);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Records a traced write as a pending cause on every computation downstream
+   * of the written signal, with the computeds it travels through. Each write is
+   * recorded once per computation, through the first path reaching it.
+   *
+   * @param {Set<Object>} subs - Subscriber set of a signal or computed
+   * @param {Object} cause - Write being traced
+   * @param {Array<Object>} through - Handles of the computeds passed so far
+   * @returns {void}
+   */
+  function traceCause(subs, cause, through) {
+    for (const computation of subs) {
+      if (computation.flags & DISPOSED) continue;
+      const causes =
+        computation.pendingCauses || (computation.pendingCauses = []);
+      if (causes.some((c) => c.id === cause.id)) continue;
+      causes.push(through.length ? { ...cause, through } : cause);
+
+      if (!(computation.flags & USER_EFFECT) && computation.subs) {
+        traceCause(computation.subs, cause, [...through, computation.handle]);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Pull phase: brings a computation up to date. A computation marked as
+   * possibly changed compares the version of each source it read against the
+   * version it saw, refreshing upstream computeds first, and only re-runs if
+   * one of them actually changed.
+   *
+   * @param {Object} computation - Computation to refresh
+   * @returns {void}
+   * @throws {CycleError} If the computation is already running
+   */
+  function updateIfNecessary(computation) {
+    if (computation.flags & DISPOSED) {
+      if (computation.value === UNSET) computeDisposed(computation);
+      return;
+    }
+    if (computation.flags & RUNNING) throw reentryError(computation);
+    if ((computation.flags & (STALE | CHECK)) === CHECK) {
+      computation.flags &= ~CHECK;
+      const deps = computation.deps;
+      for (const source of deps.keys()) {
+        if (source.flags & (STALE | CHECK)) updateIfNecessary(source);
+        if (source.version !== deps.get(source)) {
+          computation.flags |= STALE;
+          break;
         }
       }
     }
 
-    // Process effect queue
-    while (!effectQueue.isEmpty) {
-      runComputation(effectQueue.next());
+    if (computation.flags & STALE) runComputation(computation);
+    // Writes that reached the computation did not change what it reads
+    else computation.pendingCauses = null;
+  }
+
+  /**
+   * @private
+   * Gives a computed or memo disposed before its first read a value by running
+   * it once, untracked and without an owner, so that `UNSET` never reaches
+   * callers. The result is kept like any other value of a disposed node.
+   *
+   * @param {Object} computation - Disposed computation that never ran
+   * @returns {void}
+   */
+  function computeDisposed(computation) {
+    const prev = currentComputation;
+    const prevOwner = currentOwner;
+    currentComputation = null;
+    currentOwner = null;
+    computation.flags &= ~(STALE | CHECK);
+    try {
+      computation.value = computation.fn();
+    } catch (err) {
+      computation.value = undefined;
+      computation.error = err;
+      computation.flags |= ERROR;
+    } finally {
+      currentComputation = prev;
+      currentOwner = prevOwner;
     }
+  }
 
-    // Process remaining user effects
-    if (effects.length > 0) {
-      for (let i = 0; i < effects.length; i++) {
-        const effect = effects[i];
-        if (effect.flags & DISPOSED) continue;
-        runComputation(effect);
+  /**
+   * @private
+   * Routes an error to the nearest `catchError` handler in the owner chain of a
+   * node. Handlers run untracked under their boundary; an error thrown by a
+   * handler moves on to the next boundary up. Errors that reach the top go to
+   * the error reporter.
+   *
+   * @param {Object} node - Node the error originated from
+   * @param {any} err - The error
+   * @returns {void}
+   */
+  function handleError(node, err) {
+    for (let owner = node; owner; owner = owner.owner) {
+      if (!owner.handler) continue;
+
+      const prev = currentComputation;
+      const prevOwner = currentOwner;
+      currentComputation = null;
+      currentOwner = owner;
+      try {
+        owner.handler(err);
+        return;
+      } catch (e) {
+        err = e;
+      } finally {
+        currentComputation = prev;
+        currentOwner = prevOwner;
       }
     }
 
-    computationQueue.clear();
-    effectQueue.clear();
-    effects = null;
-    batched = null;
-    return result;
-  } catch (e) {
-    computationQueue.clear();
-    effectQueue.clear();
-    batched = null;
-    effects = null;
-    throw e;
+    (errorReporter || reportError)(err);
   }
-}
 
-/**
- * @private
- * Executes a computation to update its value and track dependencies.
- *
- * @param {Object} computation - Computation object to run
- * @param {function(): any} computation.fn - The computation function
- * @param {number} computation.flags - Bit flags for computation state
- * @param {Set<Object>} computation.deps - Set of dependencies
- * @param {any} computation.value - Cached value of the computation
- * @returns {any} Result of the computation
- * @throws {Error} Rethrows any errors from the computation function
- */
-function runComputation(computation) {
-  if (computation.flags & DISPOSED) return computation.value;
-  if (!(computation.flags & STALE)) return computation.value;
+  /**
+   * @private
+   * Executes a computation to update its value and track dependencies.
+   *
+   * @param {Object} computation - Computation object to run
+   * @param {function(): any} computation.fn - The computation function
+   * @param {number} computation.flags - Bit flags for computation state
+   * @param {Map<Object, number>} computation.deps - Sources read on the last
+   *   run, mapped to the version that was read, or to `UNREAD` while a run
+   *   has not read them again
+   * @param {any} computation.error - Error thrown by the last run of a computed
+   * @param {any} computation.value - Cached value of the computation
+   * @param {number} computation.version - Bumped whenever the value changes
+   * @param {(function(any, any): boolean)|null} computation.equals - Comparator
+   *   deciding whether a new value is a change
+   * @param {Set<Object>|null} computation.subs - Subscribers of a computed
+   * @returns {any} Result of the computation
+   */
+  function runComputation(computation) {
+    if (computation.flags & DISPOSED) return computation.value;
+    if (!(computation.flags & STALE)) return computation.value;
+
+    // Mark as running to prevent re-entry
+    computation.flags |= RUNNING;
+    computation.flags &= ~(STALE | CHECK | ERROR);
+    computation.error = undefined;
+    computation.runs++;
+    computation.lastRun = now();
+    computation.causes = computation.pendingCauses;
+    computation.pendingCauses = null;
+
+    cleanNode(computation);
+    // Sources stay subscribed through the run; those it does not read again
+    // are dropped once it returns
+    if (computation.deps.size) markDepsUnread(computation);
+    const prev = currentComputation;
+    const prevOwner = currentOwner;
+    currentComputation = computation;
+    currentOwner = computation;
+    running.push(computation);
+
+    try {
+      const local = computation.middleware;
+      const ctx = hasMiddleware || local ? getCtx() : null;
+
+      if (ctx) {
+        ctx.computation = computation;
+        ctx.isUser = !!(computation.flags & USER_EFFECT);
+        // Computeds read outside of any batch belong to none
+        ctx.batch = effects ? batchId : null;
+        applyMiddleware("beforeCompute", null, ctx, local);
+      }
+
+      let result = computation.fn();
 
-  // Mark as running to prevent re-entry
-  computation.flags |= RUNNING;
-  computation.flags &= ~STALE;
+      if (ctx) {
+        ctx.result = result;
+        result = applyMiddleware("compute", result, ctx, local);
+        releaseCtx(ctx);
+      }
+
+      computation.flags &= ~RUNNING;
 
-  clearDeps(computation);
-  const prev = currentComputation;
-  currentComputation = computation;
+      // Equal results keep the previous value and version, so subscribers
+      // verifying against this computation skip their own re-run
+      if (
+        computation.equals &&
+        computation.value !== UNSET &&
+        computation.equals(computation.value, result)
+      ) {
+        return computation.value;
+      }
 
-  try {
-    const ctx = hasMiddleware ? getCtx() : null;
+      computation.value = result;
+      computation.version = ++clock;
+      return result;
+    } catch (err) {
+      computation.flags |= ERROR;
+      computation.flags &= ~RUNNING;
 
-    if (hasMiddleware) {
-      ctx.computation = computation;
-      ctx.isUser = !!(computation.flags & USER_EFFECT);
-      applyMiddleware("beforeCompute", null, ctx);
+      // Effects hand errors to the nearest boundary so the flush can go on;
+      // computeds cache them and rethrow to readers until sources change
+      if (computation.flags & USER_EFFECT) {
+        handleError(computation, err);
+      } else {
+        computation.error = err;
+        computation.version = ++clock;
+      }
+      return computation.value;
+    } finally {
+      running.pop();
+      currentComputation = prev;
+      currentOwner = prevOwner;
+      if (computation.deps.size) releaseUnread(computation);
+      if (hasMiddleware || computation.middleware) {
+        const ctx = getCtx();
+        ctx.computation = computation;
+        ctx.isUser = !!(computation.flags & USER_EFFECT);
+        ctx.batch = effects ? batchId : null;
+        applyMiddleware("afterCompute", null, ctx, computation.middleware);
+        releaseCtx(ctx);
+      }
     }
+  }
 
-    let result = computation.fn();
+  /**
+   * @private
+   * Creates an owner node. Owners form a tree: every computation created while
+   * an owner is current becomes its child and is disposed together with it.
+   *
+   * @param {Object|null} owner - Parent owner, or null for a detached node
+   * @returns {{
+   *   owner: Object|null,
+   *   children: Set<Object>|null,
+   *   cleanups: Array<function(): void>|null,
+   *   flags: number
+   * }} Owner node
+   */
+  function createOwner(owner) {
+    return adopt({ owner, children: null, cleanups: null, flags: 0 });
+  }
 
-    if (hasMiddleware) {
-      ctx.result = result;
-      const transformed = applyMiddleware("compute", result, ctx);
-      if (transformed !== undefined) result = transformed;
-      releaseCtx(ctx);
+  /**
+   * @private
+   * Runs the cleanups registered on a node in reverse registration order.
+   * A throwing cleanup is routed to the nearest error boundary and does not
+   * prevent the others from running.
+   *
+   * @param {Object} node - Node the cleanups belong to
+   * @param {Array<function(): void>} cleanups - Cleanup functions to run
+   * @returns {void}
+   */
+  function runCleanups(node, cleanups) {
+    for (let i = cleanups.length - 1; i >= 0; i--) {
+      try {
+        cleanups[i]();
+      } catch (err) {
+        handleError(node, err);
+      }
     }
+  }
 
-    computation.value = result;
-    computation.flags &= ~RUNNING;
-    return result;
-  } catch (err) {
-    computation.flags |= ERROR;
-    computation.flags &= ~RUNNING;
-    console.error("[tiny-signal] Computation error:", err);
-    throw err;
-  } finally {
-    currentComputation = prev;
-    if (hasMiddleware) {
-      const ctx = getCtx();
-      ctx.computation = computation;
-      ctx.isUser = !!(computation.flags & USER_EFFECT);
-      applyMiddleware("afterCompute", null, ctx);
-      releaseCtx(ctx);
+  /**
+   * @private
+   * Disposes every child of an owner and runs its pending cleanups, leaving the
+   * node itself alive. Called before each re-run and as part of disposal.
+   *
+   * @param {Object} node - Owner node to clean
+   * @returns {void}
+   */
+  function cleanNode(node) {
+    const children = node.children;
+    if (children) {
+      node.children = null;
+      const it = children.values();
+      let child;
+      while (!(child = it.next()).done) {
+        disposeNode(child.value);
+      }
+    }
+
+    if (node.cleanups) {
+      const cleanups = node.cleanups;
+      node.cleanups = null;
+      runCleanups(node, cleanups);
     }
   }
-}
 
-/**
- * @private
- * Creates a computation object that can track dependencies and cache results.
- *
- * @param {function(): any} fn - Function defining the computation
- * @param {boolean} isUser - Whether this is a user-defined effect
- * @returns {{
- *   fn: function(): any,
- *   flags: number,
- *   deps: Set<Object>,
- *   value: any,
- *   execute(): any,
- *   dispose(): void
- * }} Computation object with execution and cleanup capabilities
- */
-function createComputation(fn, isUser) {
-  return {
+  /**
+   * @private
+   * Permanently disposes an owner node, cascading to everything it owns and
+   * detaching it from its parent.
+   *
+   * @param {Object} node - Owner node to dispose
+   * @returns {void}
+   */
+  function disposeNode(node) {
+    if (node.flags & DISPOSED) return;
+    node.flags |= DISPOSED;
+    cleanNode(node);
+    if (node.deps) clearDeps(node);
+    if (node.owner) {
+      node.owner.children?.delete(node);
+      node.owner = null;
+    }
+  }
+
+  /**
+   * @private
+   * Creates a computation object that can track dependencies and cache results.
+   * The computation is owned by the current owner, if any.
+   *
+   * @param {function(): any} fn - Function defining the computation
+   * @param {boolean} isUser - Whether this is a user-defined effect
+   * @param {(function(any, any): boolean)|null} [equals=null] - Comparator for
+   *   results; an equal result keeps the previous value and notifies no one
+   * @param {string} [name] - Optional name for debugging
+   * @param {Object[]|null} [middleware=null] - Local middleware entries
+   * @returns {{
+   *   fn: function(): any,
+   *   name: string|undefined,
+   *   flags: number,
+   *   deps: Map<Object, number>,
+   *   value: any,
+   *   version: number,
+   *   error: any,
+   *   equals: (function(any, any): boolean)|null,
+   *   subs: Set<Object>|null,
+   *   owner: Object|null,
+   *   children: Set<Object>|null,
+   *   cleanups: Array<function(): void>|null,
+   *   middleware: Object[]|null,
+   *   runs: number,
+   *   lastRun: number,
+   *   handle: Object|Function|null,
+   *   execute(): any,
+   *   dispose(): void
+   * }} Computation object with execution and cleanup capabilities
+   */
+  function createComputation(
     fn,
-    flags: STALE | (isUser ? USER_EFFECT : 0),
-    deps: new Set(),
-    value: undefined,
-    execute() {
-      if (this.flags & DISPOSED) return;
-      return runComputation(this);
-    },
-    dispose() {
-      if (this.flags & DISPOSED) return;
-      clearDeps(this);
-      this.flags |= DISPOSED;
-    },
-  };
-}
+    isUser,
+    equals = null,
+    name,
+    middleware = null
+  ) {
+    return adopt({
+      fn,
+      name,
+      flags: STALE | (isUser ? USER_EFFECT : 0),
+      deps: new Map(),
+      value: UNSET,
+      version: 0,
+      error: undefined,
+      equals,
+      subs: null,
+      owner: currentOwner,
+      children: null,
+      cleanups: null,
+      middleware,
+      // Number of runs and time of the last one, for devtools
+      runs: 0,
+      lastRun: 0,
+      // Traced writes behind the last run, and those marking it since
+      causes: null,
+      pendingCauses: null,
+      // Public object wrapping the computation
+      handle: null,
+      execute() {
+        if (this.flags & DISPOSED) return;
+        return runComputation(this);
+      },
+      dispose() {
+        disposeNode(this);
+      },
+    });
+  }
 
-/**
- * @public
- * Configures how reactive updates are scheduled.
- *
- * @param {'animation'|'idle'|Function} [s='animation'] - Scheduling strategy:
- *   - 'animation': Uses requestAnimationFrame
- *   - 'idle': Uses requestIdleCallback (falls back to setTimeout)
- *   - Function: Custom scheduler function
- * @returns {void}
- */
-export function enableScheduling(s = "animation") {
-  scheduler =
-    s === "animation"
-      ? requestAnimationFrame
-      : s === "idle"
-      ? typeof window !== "undefined" && window.requestIdleCallback
-        ? window.requestIdleCallback
-        : (fn) => setTimeout(fn, 1)
-      : typeof s === "function"
-      ? s
-      : null;
-}
+  /**
+   * @public
+   * Creates a new ownership root. Effects and computeds created inside `fn` are
+   * owned by the root and stay alive until the provided `dispose` is called.
+   * The root is detached from any enclosing owner and `fn` runs untracked.
+   *
+   * @template T
+   * @param {function(function(): void): T} fn - Receives a function that
+   *   disposes the root and everything created under it
+   * @returns {T} The return value of `fn`
+   */
+  function createRoot(fn) {
+    const root = createOwner(null);
+    const prev = currentComputation;
+    const prevOwner = currentOwner;
+    currentComputation = null;
+    currentOwner = root;
 
-/**
- * @public
- * Creates a reactive signal with getter/setter semantics.
- *
- * @template T
- * @param {T} initial - Initial value of the signal
- * @param {Object} [options={}] - Configuration options
- * @param {string} [options.name] - Optional name for debugging
- * @returns {{
- *   get value(): T,
- *   set value(v: T): void,
- *   peek(): T,
- *   dispose(): void
- * }} A reactive signal object
- */
-export function signal(initial, options = {}) {
-  // Lazy subscription set creation
-  let subs = null;
-  const ctx = hasMiddleware ? { type: "signal", ...options } : null;
-  let value = hasMiddleware ? applyMiddleware("init", initial, ctx) : initial;
+    try {
+      return fn(() => disposeNode(root));
+    } finally {
+      currentComputation = prev;
+      currentOwner = prevOwner;
+    }
+  }
+
+  /**
+   * @private
+   * Calls `callback` with the current value of a signal or computed, then
+   * again after every change, from an effect detached from the current owner.
+   *
+   * @param {function(): any} read - Reads the value, tracking it
+   * @param {function(any): void} callback - Receives the values, untracked
+   * @param {function(any): void} [onError] - Receives errors thrown while
+   *   reading; without it they go to the nearest error handler
+   * @returns {function(): void} Function to unsubscribe
+   */
+  function subscribeTo(read, callback, onError) {
+    return createRoot((dispose) => {
+      effect(() => {
+        let value;
+        try {
+          value = read();
+        } catch (err) {
+          if (!onError) throw err;
+          untrack(() => onError(err));
+          return;
+        }
+        untrack(() => callback(value));
+      });
+      return dispose;
+    });
+  }
 
-  function ensureSubs() {
-    if (!subs) {
-      subs = new Set();
-      // Add owner reference for topological sorting
-      subs.owner = currentComputation;
+  /**
+   * @public
+   * Registers a function to run before the current effect, computed or memo
+   * re-executes and when it (or the current root) is disposed. Cleanups run in
+   * reverse registration order.
+   *
+   * @param {function(): void} fn - Cleanup function
+   * @returns {function(): void} The same function
+   */
+  function onCleanup(fn) {
+    if (currentOwner) {
+      (currentOwner.cleanups || (currentOwner.cleanups = [])).push(fn);
     }
-    return subs;
+    return fn;
   }
 
-  // Add a dispose method for manual cleanup
-  function dispose() {
-    if (subs) subs.clear();
-    subs = null;
+  /**
+   * @public
+   * Creates an error boundary. Errors thrown by `fn` itself, and by effects,
+   * cleanups and owned computations created inside it, are passed to `handler`
+   * instead of the error reporter. A handler that throws forwards the error to
+   * the next boundary up.
+   *
+   * @template T
+   * @param {function(): T} fn - Function to run inside the boundary
+   * @param {function(any): void} handler - Receives errors caught by the
+   *   boundary
+   * @returns {T|undefined} The return value of `fn`, or undefined if it threw
+   */
+  function catchError(fn, handler) {
+    const boundary = createOwner(currentOwner);
+    boundary.handler = handler;
+    const prevOwner = currentOwner;
+    currentOwner = boundary;
+
+    try {
+      return fn();
+    } catch (err) {
+      handleError(boundary, err);
+    } finally {
+      currentOwner = prevOwner;
+    }
   }
 
-  return {
-    get value() {
-      if (currentComputation) {
-        subscribe(currentComputation, ensureSubs());
+  /**
+   * @public
+   * Sets the function that receives errors no boundary handled, such as errors
+   * thrown by effects or cleanups outside any `catchError`. Defaults to logging
+   * with `console.error`.
+   *
+   * @param {(function(any): void)|null} reporter - Error reporter, or null to
+   *   restore the default
+   * @returns {void}
+   */
+  function setErrorReporter(reporter) {
+    errorReporter = reporter;
+  }
+
+  /**
+   * @public
+   * Returns a function passing errors to the boundaries of the current owner,
+   * and to the error reporter if none handles them, as errors thrown by
+   * effects are. Use it to report errors from callbacks that run outside the
+   * graph, such as those of timers or Observables.
+   *
+   * @returns {function(any): void} Error handler bound to the current owner
+   *
+   * @example
+   * const onError = createErrorHandler();
+   * socket.addEventListener("error", (event) => onError(event.error));
+   */
+  function createErrorHandler() {
+    const owner = currentOwner;
+    return (err) => handleError(owner, err);
+  }
+
+  /**
+   * @public
+   * Runs a function without tracking any reactive reads made inside it.
+   * The current owner is preserved, so computations created inside `fn` are
+   * still disposed with their creator.
+   *
+   * @template T
+   * @param {function(): T} fn - Function to run untracked
+   * @returns {T} The return value of `fn`
+   */
+  function untrack(fn) {
+    if (currentComputation === null) return fn();
+    const prev = currentComputation;
+    currentComputation = null;
+    try {
+      return fn();
+    } finally {
+      currentComputation = prev;
+    }
+  }
+
+  /**
+   * @public
+   * Wraps a function so that, when used as an effect or computed, it tracks
+   * only the given sources. `fn` runs untracked and receives the current and
+   * previous values of the sources.
+   *
+   * @template T
+   * @param {Object|Function|Array<Object|Function>} deps - Source or array of
+   *   sources to track (signals, computeds or getter functions)
+   * @param {function(any, any): T} fn - Called with `(value, prevValue)`; for
+   *   an array of sources both are arrays
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.defer=false] - Skip calling `fn` on the first run
+   * @returns {function(): (T|undefined)} Function to pass to `effect`,
+   *   `computed` or `memo`
+   */
+  function on(deps, fn, options = {}) {
+    const isArray = Array.isArray(deps);
+    let prevInput;
+    let defer = !!options.defer;
+
+    return () => {
+      let input;
+      if (isArray) {
+        input = new Array(deps.length);
+        for (let i = 0; i < deps.length; i++) input[i] = readSource(deps[i]);
+      } else {
+        input = readSource(deps);
       }
-      return hasMiddleware ? applyMiddleware("get", value, ctx) : value;
-    },
 
-    peek() {
-      return hasMiddleware ? applyMiddleware("peek", value, ctx) : value;
-    },
+      if (defer) {
+        defer = false;
+        prevInput = input;
+        return undefined;
+      }
 
-    set value(next) {
-      if (hasMiddleware) {
-        const nextCtx = getCtx();
-        Object.assign(nextCtx, ctx || {});
-        nextCtx.prevValue = value;
-        next = applyMiddleware("set", next, nextCtx);
-        releaseCtx(nextCtx);
+      const prev = prevInput;
+      prevInput = input;
+      return untrack(() => fn(input, prev));
+    };
+  }
+
+  /**
+   * @private
+   * Holds a write made inside a transition callback in the transition's forked
+   * state. The write is replayed through the signal's setter on commit, unless
+   * the signal was written directly since: the newer write wins.
+   *
+   * @param {Object} node - Signal node being written
+   * @param {function(any): void} set - The signal's setter
+   * @param {any} value - Value written
+   * @returns {void}
+   */
+  function holdWrite(node, set, value) {
+    const writes = transitions.active.writes;
+    const held = writes.get(node);
+    if (held) held.value = value;
+    else writes.set(node, { set, value, version: node.version });
+  }
+
+  /**
+   * @private
+   * Reads a signal as seen by the active transition: its held value if the
+   * transition wrote to it, otherwise its committed value.
+   *
+   * @param {Object} node - Signal node to read
+   * @returns {any} Forked or committed value
+   */
+  function readFork(node) {
+    const held = transitions.active.writes.get(node);
+    return held ? held.value : node.value;
+  }
+
+  /**
+   * @private
+   * Evaluates a computed against the active transition's forked state, without
+   * caching the result or tracking anything.
+   *
+   * @param {Object} computation - Computation backing the computed or memo
+   * @returns {any} Value of the computation in the forked state
+   */
+  function readForkedComputation(computation) {
+    const prevOwner = currentOwner;
+    currentOwner = null;
+    try {
+      return computation.fn();
+    } finally {
+      currentOwner = prevOwner;
+    }
+  }
+
+  /**
+   * @private
+   * Creates the state of a transition: its forked writes, the async work it is
+   * waiting for and the callbacks to run when it commits.
+   *
+   * @returns {{
+   *   writes: Map<Object, {
+   *     set: function(any): void,
+   *     value: any,
+   *     version: number
+   *   }>,
+   *   pending: number,
+   *   commits: Array<function(): void>,
+   *   failed: boolean,
+   *   error: any,
+   *   done: Promise<void>,
+   *   track(promise: Promise<any>): void,
+   *   onCommit(fn: function(): void): void,
+   *   finish(): void
+   * }} Transition state
+   */
+  function createTransition() {
+    let resolve, reject;
+    const transition = {
+      writes: new Map(),
+      pending: 0,
+      commits: [],
+      failed: false,
+      error: undefined,
+      done: new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      }),
+      track(promise) {
+        transition.pending++;
+        promise
+          .then(undefined, (err) => {
+            if (transition.failed) return;
+            transition.failed = true;
+            transition.error = err;
+          })
+          .then(() => {
+            if (--transition.pending === 0) finish();
+          });
+      },
+      onCommit(fn) {
+        transition.commits.push(fn);
+      },
+      finish,
+    };
+
+    // Commits all held writes and commit callbacks as one batch, or discards
+    // them if the transition failed. A signal written directly since its write
+    // was held keeps the newer value
+    function finish() {
+      try {
+        if (!transition.failed) {
+          batch(() => {
+            transition.writes.forEach((held, node) => {
+              if (node.version === held.version) held.set(held.value);
+            });
+            for (let i = 0; i < transition.commits.length; i++) {
+              transition.commits[i]();
+            }
+          });
+        }
+      } catch (err) {
+        transition.failed = true;
+        transition.error = err;
+      } finally {
+        pendingTransitions.value--;
       }
 
-      if (Object.is(value, next)) return;
+      if (transition.failed) reject(transition.error);
+      else resolve();
+    }
+
+    return transition;
+  }
+
+  /**
+   * @public
+   * Runs `fn` as a transition. Signal writes made synchronously inside `fn` are
+   * held in a forked state instead of being applied: `fn` itself reads its own
+   * writes, while the rest of the app keeps seeing the committed values. Once
+   * all async work started within the transition has settled (a promise
+   * returned by `fn`, and resource fetches triggered by the held writes), the
+   * writes are committed together in a single batch. If `fn` throws or its
+   * promise rejects, the held writes are discarded. A held write is also
+   * dropped when its signal is written outside the transition before the
+   * commit, including by `fn` after an `await`: the newer write wins.
+   *
+   * @param {function(): (void|Promise<any>)} fn - Function making the writes;
+   *   runs untracked
+   * @returns {Promise<void>} Resolves once the transition has committed
+   */
+  function startTransition(fn) {
+    const transition = createTransition();
+    pendingTransitions.value++;
+
+    const prev = transitions.active;
+    const prevComputation = currentComputation;
+    transitions.active = transition;
+    currentComputation = null;
 
-      value = next;
-      if (!subs || !subs.size) return;
+    try {
+      const result = fn();
+      if (result && typeof result.then === "function") transition.track(result);
+      transitions.hooks.forEach((hook) => hook(transition));
+    } catch (err) {
+      transition.failed = true;
+      transition.error = err;
+    } finally {
+      transitions.active = prev;
+      currentComputation = prevComputation;
+    }
 
+    if (transition.pending === 0) transition.finish();
+    return transition.done;
+  }
+
+  /**
+   * @public
+   * Configures how reactive updates are scheduled. With scheduling enabled,
+   * effects made dirty by writes are queued, deduplicated and run together in a
+   * single flush per tick or frame, instead of synchronously after each batch.
+   * An effect's first run always happens synchronously on creation.
+   *
+   * @param {'animation'|'idle'|'microtask'|Function|false|null} [s='animation'] -
+   *   Scheduling strategy:
+   *   - 'animation': Uses requestAnimationFrame (falls back to setTimeout)
+   *   - 'idle': Uses requestIdleCallback (falls back to setTimeout)
+   *   - 'microtask': Uses queueMicrotask
+   *   - Function: Custom scheduler, called with the flush callback
+   *   - false or null: Turns scheduling off and flushes pending effects
+   * @returns {void}
+   */
+  function enableScheduling(s = "animation") {
+    scheduler = resolveScheduler(s);
+    if (!scheduler) flushSync();
+  }
+
+  /**
+   * @public
+   * Turns causality tracing on or off. While on, every write that reaches
+   * subscribers gets an ID and the location of the code making it, and each
+   * computation it marks remembers it; `whyDidThisRun` returns the writes
+   * behind a computation's last run. Capturing a stack trace per write makes
+   * this too slow to leave on outside debugging.
+   *
+   * @param {boolean} [on=true] - Whether to trace writes
+   * @returns {void}
+   */
+  function enableTracing(on = true) {
+    tracing = on;
+  }
+
+  /**
+   * @public
+   * Runs all effects queued by the scheduler immediately, instead of waiting
+   * for the next scheduled flush. Does nothing when no effects are pending.
+   *
+   * @returns {void}
+   */
+  function flushSync() {
+    flushRequested = false;
+    if (!scheduled.length) return;
+
+    const queue = scheduled;
+    scheduled = [];
+    const prevFlushing = flushing;
+    flushing = true;
+    try {
       runUpdates(() => {
-        // Use iterator to avoid temporary array allocation
-        const it = subs.values();
-        let computation;
-        while (!(computation = it.next()).done) {
-          computation = computation.value;
-          if (computation.flags & DISPOSED) continue;
-          computation.flags |= STALE;
-          (computation.flags & USER_EFFECT ? effects : batched).push(
-            computation
-          );
-        }
+        for (let i = 0; i < queue.length; i++) effects.push(queue[i]);
       });
-    },
+    } finally {
+      flushing = prevFlushing;
+    }
+  }
 
-    dispose,
-  };
-}
+  /**
+   * @public
+   * Creates a reactive signal with getter/setter semantics.
+   *
+   * @template T
+   * @param {T} initial - Initial value of the signal
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.name] - Optional name for debugging
+   * @param {function(T, T): boolean|false} [options.equals=Object.is] -
+   *   Comparator deciding whether a write is a change, or `false` to notify
+   *   on every write
+   * @param {Function|Function[]} [options.middleware] - Middleware applied to
+   *   this node only, after global and scope middleware
+   * @returns {{
+   *   get value(): T,
+   *   set value(v: T): void,
+   *   peek(): T,
+   *   dispose(): void,
+   *   subscribe(callback: (value: T) => void, onError?: (err: any) => void): () => void
+   * }} A reactive signal object. `subscribe` calls `callback` with the
+   *   current value at once, then after every change, once per batch; it is
+   *   also an Observable (see `OBSERVABLE`) and an async iterable of its
+   *   distinct values
+   */
+  function signal(initial, options = {}) {
+    const equals = resolveEquals(options.equals);
+    const local = localMiddleware(options.middleware);
+    // Context passed to middleware, created on first use
+    let ctx = null;
+    let handle = null;
+    const getContext = () =>
+      ctx || (ctx = { type: "signal", signal: handle, ...options });
+    const node = {
+      value:
+        hasMiddleware || local
+          ? applyMiddleware("init", initial, getContext(), local)
+          : initial,
+      name: options.name,
+      version: 0,
+      flags: 0,
+      // Lazy subscription set creation
+      subs: null,
+      // Value and version before the first write of the current batch
+      batchId: 0,
+      batchValue: undefined,
+      batchVersion: 0,
+      // Number of writes and time of the last one, for devtools
+      runs: 0,
+      lastRun: 0,
+      // Public object wrapping the node
+      handle: null,
+    };
+
+    function write(next) {
+      if (node.batchId !== batchId) {
+        node.batchId = batchId;
+        node.batchValue = node.value;
+        node.batchVersion = node.version;
+      }
 
-/**
- * @public
- * Creates a memoized computation that updates only when dependencies change.
- *
- * @template T
- * @param {function(): T} fn - Function that computes the value
- * @returns {function(): T & {dispose(): void}} Memoized getter with cleanup method
- */
-export function memo(fn) {
-  const computation = createComputation(fn, true);
-  runUpdates(() => computation.execute());
+      const prevValue = node.value;
+      node.value = next;
+      node.lastRun = now();
+      // Writing back the value the batch started with restores its version, so
+      // computeds that saw that version do not recompute
+      node.version =
+        equals && equals(node.batchValue, next) ? node.batchVersion : ++clock;
+
+      if (!node.subs || !node.subs.size) return;
+      if (tracing) {
+        const cause = {
+          id: ++traceId,
+          batch: batchId,
+          signal: handle,
+          name: node.name,
+          prevValue,
+          value: next,
+          location: callerLocation(),
+          through: [],
+        };
+        traceCause(node.subs, cause, []);
+      }
+      notify(node, node);
+    }
 
-  function getter() {
+    function set(next) {
+      if (hasMiddleware || local) {
+        const nextCtx = getCtx();
+        Object.assign(nextCtx, getContext());
+        nextCtx.prevValue = node.value;
+        next = applyMiddleware("set", next, nextCtx, local);
+        releaseCtx(nextCtx);
+        if (next === SKIP) return;
+      }
+
+      if (equals && equals(node.value, next)) return;
+
+      node.runs++;
+
+      if (!node.subs || !node.subs.size) {
+        node.lastRun = now();
+        node.value = next;
+        node.version = ++clock;
+        return;
+      }
+
+      runUpdates(write, next);
+    }
+
+    // Add a dispose method for manual cleanup
+    function dispose() {
+      if (node.subs) node.subs.clear();
+      node.subs = null;
+    }
+
+    handle = node.handle = {
+      get value() {
+        let value = node.value;
+        if (currentComputation) subscribe(currentComputation, node);
+        else if (transitions.active) value = readFork(node);
+        return hasMiddleware || local
+          ? applyMiddleware("get", value, getContext(), local)
+          : value;
+      },
+
+      peek() {
+        const value = transitions.active ? readFork(node) : node.value;
+        return hasMiddleware || local
+          ? applyMiddleware("peek", value, getContext(), local)
+          : value;
+      },
+
+      set value(next) {
+        if (transitions.active) holdWrite(node, set, next);
+        else set(next);
+      },
+
+      dispose,
+
+      subscribe: (callback, onError) =>
+        subscribeTo(() => handle.value, callback, onError),
+
+      [OBSERVABLE]() {
+        return observe(this);
+      },
+
+      [Symbol.asyncIterator]() {
+        return iterate(this);
+      },
+
+      [NODE]: node,
+    };
+
+    // A context created for `init` middleware predates the handle
+    if (ctx) ctx.signal = handle;
+    return handle;
+  }
+
+  /**
+   * @private
+   * Reads a computed or memo, refreshing it first if any of its sources may
+   * have changed, and subscribes the running computation to it.
+   *
+   * @param {Object} computation - Computation backing the computed or memo
+   * @returns {any} Up-to-date value of the computation
+   * @throws {any} The error cached by the last run, if it threw
+   * @throws {CycleError} If the computation is reading itself
+   */
+  function readComputation(computation) {
+    if (!currentComputation && transitions.active?.writes.size) {
+      return readForkedComputation(computation);
+    }
+    if (computation.flags & RUNNING) throw reentryError(computation);
+    if (computation.flags & (STALE | CHECK)) updateIfNecessary(computation);
+    if (currentComputation) subscribe(currentComputation, computation);
+    if (computation.flags & ERROR) throw computation.error;
     return computation.value;
   }
 
-  getter.dispose = () => computation.dispose();
-  return getter;
-}
+  /**
+   * @public
+   * Creates a memoized computation that updates only when dependencies change.
+   * The function runs lazily, on the first read after a dependency changed.
+   *
+   * @template T
+   * @param {function(): T} fn - Function that computes the value
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.name] - Optional name for debugging
+   * @param {Function|Function[]} [options.middleware] - Middleware applied to
+   *   this node only, after global and scope middleware
+   * @returns {function(): T & {dispose(): void}} Memoized getter with cleanup method
+   */
+  function memo(fn, options = {}) {
+    const computation = createComputation(
+      fn,
+      false,
+      Object.is,
+      options.name,
+      localMiddleware(options.middleware)
+    );
+
+    function getter() {
+      return readComputation(computation);
+    }
 
-/**
- * @public
- * Creates a read-only computed signal derived from other reactive sources.
- * Automatically tracks dependencies and updates when they change.
- *
- * @template T
- * @param {function(): T} fn - Function that computes the derived value
- * @param {Object} [options={}] - Configuration options
- * @param {string} [options.name] - Optional name for debugging
- * @returns {{
- *   get value(): T,
- *   peek(): T,
- *   dispose(): void
- * }} A read-only computed signal
- */
-export function computed(fn, options = {}) {
-  const computation = createComputation(fn, true);
-  runUpdates(() => computation.execute());
+    getter.dispose = () => disposeComputed(computation);
+    getter.subscribe = (callback, onError) =>
+      subscribeTo(getter, callback, onError);
+    getter[OBSERVABLE] = () => observe(getter);
+    getter[Symbol.asyncIterator] = () => iterate(getter);
+    getter[NODE] = computation;
+    return (computation.handle = getter);
+  }
 
-  const computedCtx = hasMiddleware ? { type: "computed", ...options } : null;
+  /**
+   * @private
+   * Disposes a computed or memo and drops its subscribers.
+   *
+   * @param {Object} computation - Computation backing the computed or memo
+   * @returns {void}
+   */
+  function disposeComputed(computation) {
+    computation.dispose();
+    if (computation.subs) computation.subs.clear();
+  }
 
-  return {
-    get value() {
-      if (currentComputation) subscribe(currentComputation, computation.deps);
-      if (computation.flags & STALE) runComputation(computation);
+  /**
+   * @public
+   * Creates a read-only computed signal derived from other reactive sources.
+   * Automatically tracks dependencies and updates when they change. The value
+   * is computed lazily: writes to sources only mark the computed as dirty, and
+   * it recomputes on the next read or when an effect depending on it runs.
+   *
+   * @template T
+   * @param {function(): T} fn - Function that computes the derived value
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.name] - Optional name for debugging
+   * @param {function(T, T): boolean|false} [options.equals=Object.is] -
+   *   Comparator deciding whether a recomputed value is a change; equal values
+   *   are not propagated to subscribers. `false` always propagates
+   * @param {Function|Function[]} [options.middleware] - Middleware applied to
+   *   this node only, after global and scope middleware
+   * @returns {{
+   *   get value(): T,
+   *   peek(): T,
+   *   dispose(): void,
+   *   subscribe(callback: (value: T) => void, onError?: (err: any) => void): () => void
+   * }} A read-only computed signal, which can be subscribed to like a signal
+   */
+  function computed(fn, options = {}) {
+    const computation = createComputation(
+      fn,
+      false,
+      resolveEquals(options.equals),
+      options.name,
+      localMiddleware(options.middleware)
+    );
+
+    const local = computation.middleware;
+    // Context passed to middleware, created on first use
+    let ctx = null;
+    const getContext = () => ctx || (ctx = { type: "computed", ...options });
+
+    return (computation.handle = {
+      get value() {
+        const value = readComputation(computation);
+        return hasMiddleware || local
+          ? applyMiddleware("get", value, getContext(), local)
+          : value;
+      },
+
+      peek() {
+        let value;
+        if (!currentComputation && transitions.active?.writes.size) {
+          value = readForkedComputation(computation);
+        } else {
+          if (computation.flags & RUNNING) throw reentryError(computation);
+          if (computation.flags & (STALE | CHECK)) {
+            updateIfNecessary(computation);
+          }
+          if (computation.flags & ERROR) throw computation.error;
+          value = computation.value;
+        }
+        return hasMiddleware || local
+          ? applyMiddleware("peek", value, getContext(), local)
+          : value;
+      },
 
-      return hasMiddleware
-        ? applyMiddleware("get", computation.value, computedCtx)
-        : computation.value;
-    },
+      dispose() {
+        disposeComputed(computation);
+      },
 
-    peek() {
-      if (computation.flags & STALE) runComputation(computation);
-      return hasMiddleware
-        ? applyMiddleware("peek", computation.value, computedCtx)
-        : computation.value;
-    },
+      subscribe(callback, onError) {
+        return subscribeTo(() => this.value, callback, onError);
+      },
 
-    dispose() {
-      computation.dispose();
-    },
-  };
-}
+      [OBSERVABLE]() {
+        return observe(this);
+      },
 
-/**
- * @public
- * Creates a reactive effect that runs automatically when dependencies change.
- *
- * @param {function(): (void|function(): void)} fn - Effect function that may return
- *   an optional cleanup function
- * @returns {{
- *   dispose(): void,
- *   get disposed(): boolean
- * }} Object to control the effect lifecycle
- */
-export function effect(fn) {
-  let cleanup;
-  const computation = createComputation(() => {
-    if (hasMiddleware) {
-      const ctx = getCtx();
-      ctx.fn = fn;
-      applyMiddleware("beforeEffect", null, ctx);
-      releaseCtx(ctx);
-    }
+      [Symbol.asyncIterator]() {
+        return iterate(this);
+      },
 
-    if (cleanup) {
-      cleanup();
-      cleanup = null;
-    }
+      [NODE]: computation,
+    });
+  }
 
-    const result = fn();
-    if (typeof result === "function") cleanup = result;
+  /**
+   * @public
+   * Creates a reactive effect that runs automatically when dependencies change.
+   *
+   * @param {function(): (void|function(): void)} fn - Effect function that may return
+   *   an optional cleanup function
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.name] - Optional name for debugging
+   * @param {Function|Function[]} [options.middleware] - Middleware applied to
+   *   this node only, after global and scope middleware
+   * @returns {{
+   *   dispose(): void,
+   *   get disposed(): boolean
+   * }} Object to control the effect lifecycle
+   */
+  function effect(fn, options = {}) {
+    const local = localMiddleware(options.middleware);
+
+    function run() {
+      if (hasMiddleware || local) {
+        const ctx = getCtx();
+        ctx.fn = fn;
+        applyMiddleware("beforeEffect", null, ctx, local);
+        releaseCtx(ctx);
+      }
 
-    if (hasMiddleware) {
-      const ctx = getCtx();
-      ctx.fn = fn;
-      ctx.cleanup = cleanup;
-      applyMiddleware("afterEffect", null, ctx);
-      releaseCtx(ctx);
+      const result = fn();
+      const cleanup = typeof result === "function" ? onCleanup(result) : null;
+
+      if (hasMiddleware || local) {
+        const ctx = getCtx();
+        ctx.fn = fn;
+        ctx.cleanup = cleanup;
+        applyMiddleware("afterEffect", null, ctx, local);
+        releaseCtx(ctx);
+      }
     }
-  }, true);
 
-  runUpdates(() => computation.execute());
+    const computation = createComputation(run, true, null, options.name, local);
 
-  return {
-    dispose: () => {
-      if (cleanup) cleanup();
-      computation.dispose();
-    },
-    get disposed() {
-      return !!(computation.flags & DISPOSED);
-    },
-  };
-}
+    runUpdates(() => computation.execute());
 
-/**
- * @public
- * Batches multiple updates into a single transaction to improve performance.
- * Defers all reactive updates until the batch completes.
- *
- * @template T
- * @param {function(): T} fn - Function containing multiple updates
- * @returns {T} The return value of the batched function
- */
-export function batch(fn) {
-  if (hasMiddleware) {
-    const ctx = getCtx();
+    return (computation.handle = {
+      dispose: () => computation.dispose(),
+      get disposed() {
+        return !!(computation.flags & DISPOSED);
+      },
+
+      [NODE]: computation,
+    });
+  }
+
+  /**
+   * @public
+   * Batches multiple updates into a single transaction to improve performance.
+   * Defers all reactive updates until the batch completes. The `beforeBatch`
+   * and `afterBatch` middleware hooks always come in pairs: `afterBatch` also
+   * runs when `fn` throws, with `ctx.error` set.
+   *
+   * @template T
+   * @param {function(): T} fn - Function containing multiple updates
+   * @returns {T} The return value of the batched function
+   */
+  function batch(fn) {
+    // Middleware registered inside `fn` sees neither hook
+    if (!hasMiddleware) return runUpdates(fn);
+
+    let ctx = getCtx();
     ctx.fn = fn;
     applyMiddleware("beforeBatch", null, ctx);
     releaseCtx(ctx);
-  }
 
-  const result = runUpdates(fn);
+    let result;
+    try {
+      result = runUpdates(fn);
+    } catch (err) {
+      ctx = getCtx();
+      ctx.fn = fn;
+      ctx.error = err;
+      applyMiddleware("afterBatch", undefined, ctx);
+      releaseCtx(ctx);
+      throw err;
+    }
 
-  if (hasMiddleware) {
-    const ctx = getCtx();
+    ctx = getCtx();
     ctx.fn = fn;
     const transformed = applyMiddleware("afterBatch", result, ctx);
     releaseCtx(ctx);
     return transformed;
   }
 
-  return result;
-}
+  /**
+   * @public
+   * Registers middleware to intercept and transform signal operations.
+   * Middleware runs in order of priority, highest first; middleware with equal
+   * priority runs in registration order. Each middleware receives the value
+   * returned by the previous one and must return the value to pass on, or
+   * `SKIP` to veto the operation.
+   *
+   * @param {Function|Function[]} m - Middleware function(s) with signature:
+   *   (type: string, value: any, ctx: Object) => any
+   * @param {string[]|Object} [options] - Operation types to intercept, or
+   *   configuration options
+   * @param {string[]} [options.types] - Operation types to intercept (e.g.,
+   *   'init', 'get', 'set', 'compute', 'beforeEffect'); all when omitted
+   * @param {number} [options.priority] - Higher priority runs earlier;
+   *   defaults to the function's own `priority` property, or 0
+   * @param {boolean} [options.propagateErrors=false] - Rethrow errors thrown
+   *   by the middleware to the code performing the operation, instead of
+   *   passing them to the error reporter
+   * @returns {function(): void} Function to unregister the middleware
+   */
+  function use(m, options) {
+    const opts = Array.isArray(options) ? { types: options } : options || {};
+    const entries = toEntries(m, opts);
+
+    middleware.push(...entries);
+    // Stable sort keeps registration order within a priority
+    middleware.sort((a, b) => b.priority - a.priority);
+    pipelines.clear();
+    hasMiddleware = middleware.length > 0;
+    let removed = false;
 
-/**
- * @public
- * Registers middleware to intercept and transform signal operations.
- *
- * @param {Function|Function[]} m - Middleware function(s) with signature:
- *   (type: string, value: any, ctx: Object) => any
- * @param {string[]} [types] - Optional array of operation types to intercept
- *   (e.g., 'init', 'get', 'set', 'compute', 'beforeEffect', 'afterEffect')
- * @returns {function(): void} Function to unregister the middleware
- */
-export function use(m, types) {
-  const fns = Array.isArray(m) ? m : [m];
+    return () => {
+      if (removed) return;
+      removed = true;
 
-  if (types && types.length) {
-    // Register for specific types
-    types.forEach((type) => {
-      typeMiddleware[type] = typeMiddleware[type] || [];
-      typeMiddleware[type].push(...fns);
-    });
-  } else {
-    // Register for all types
-    middleware.push(...fns);
+      for (const entry of entries) {
+        const idx = middleware.indexOf(entry);
+        if (idx > -1) middleware.splice(idx, 1);
+      }
+      pipelines.clear();
+      hasMiddleware = middleware.length > 0;
+    };
   }
 
-  hasMiddleware = middleware.length > 0;
-  let removed = false;
-
-  return () => {
-    if (removed) return;
-    removed = true;
+  /**
+   * @public
+   * Runs `fn` with middleware applied to every signal, computed, memo and
+   * effect created inside it, in addition to their own. Scopes nest: inner
+   * scope middleware runs after outer scope middleware.
+   *
+   * @template T
+   * @param {Function|Function[]} m - Middleware function(s)
+   * @param {function(): T} fn - Function creating the nodes
+   * @returns {T} The return value of `fn`
+   */
+  function withMiddleware(m, fn) {
+    const entries = toEntries(m, {});
+    const prev = scopeMiddleware;
+    scopeMiddleware = prev ? prev.concat(entries) : entries;
+    try {
+      return fn();
+    } finally {
+      scopeMiddleware = prev;
+    }
+  }
 
-    if (types && types.length) {
-      types.forEach((type) => {
-        if (!typeMiddleware[type]) return;
+  // Number of transitions that have started but not yet committed
+  const pendingTransitions = signal(0);
 
-        fns.forEach((fn) => {
-          const idx = typeMiddleware[type].indexOf(fn);
-          if (idx > -1) {
-            typeMiddleware[type].splice(idx, 1);
-          }
-        });
+  /**
+   * @public
+   * Read-only signal that is `true` while any transition is pending.
+   *
+   * @type {{ get value(): boolean, peek(): boolean, dispose(): void }}
+   */
+  const isPending = computed(() => pendingTransitions.value > 0);
 
-        if (typeMiddleware[type].length === 0) {
-          delete typeMiddleware[type];
-        }
-      });
-    } else {
-      fns.forEach((fn) => {
-        let idx;
-        while ((idx = middleware.indexOf(fn)) > -1) {
-          middleware.splice(idx, 1);
-        }
-      });
-    }
-
-    hasMiddleware = middleware.length > 0;
+  return {
+    signal,
+    computed,
+    memo,
+    effect,
+    batch,
+    untrack,
+    on,
+    createRoot,
+    onCleanup,
+    catchError,
+    setErrorReporter,
+    createErrorHandler,
+    use,
+    withMiddleware,
+    enableScheduling,
+    enableTracing,
+    flushSync,
+    startTransition,
+    isPending,
   };
 }
 
+/**
+ * @public
+ * Creates an isolated reactive runtime with its own graph, batching,
+ * scheduling, error reporter and middleware. Useful to keep tests or
+ * concurrent server renders from affecting each other. Signals of one runtime
+ * are not tracked by computations of another. The top-level exports are bound
+ * to a default runtime.
+ *
+ * @returns {ReturnType<typeof buildRuntime>} Signal, computed, effect, batch,
+ *   use, enableScheduling and the rest of the core API
+ */
+export function createRuntime() {
+  return buildRuntime(createTransitionState());
+}
+
+// Runtime backing the top-level exports
+const defaultRuntime = buildRuntime(transitions);
+
+export const {
+  signal,
+  computed,
+  memo,
+  effect,
+  batch,
+  untrack,
+  on,
+  createRoot,
+  onCleanup,
+  catchError,
+  setErrorReporter,
+  createErrorHandler,
+  use,
+  withMiddleware,
+  enableScheduling,
+  enableTracing,
+  flushSync,
+  startTransition,
+  isPending,
+} = defaultRuntime;
+
 // export aliases
 export const createSignal = signal;
 export const createEffect = effect;
@@ -1,5 +1,27 @@
-import { describe, it, expect, vi } from "vitest";
-import { signal, memo, batch, computed, effect } from "./signal.js";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  signal,
+  memo,
+  batch,
+  computed,
+  effect,
+  createRoot,
+  onCleanup,
+  untrack,
+  on,
+  catchError,
+  setErrorReporter,
+  createErrorHandler,
+  CycleError,
+  startTransition,
+  isPending,
+  enableScheduling,
+  flushSync,
+  use,
+  createRuntime,
+  OBSERVABLE,
+} from "./signal.js";
+import { getObservers } from "./devtools.js";
 
 describe("core", () => {
   it("should get and set value", () => {
@@ -97,3 +119,1366 @@ describe("core", () => {
     }).toThrow();
   });
 });
+
+describe("ownership", () => {
+  it("should dispose nested effects when the parent re-runs", () => {
+    const outer = signal(0);
+    const inner = signal(0);
+    let innerRuns = 0;
+
+    effect(() => {
+      outer.value;
+      effect(() => {
+        inner.value;
+        innerRuns++;
+      });
+    });
+    expect(innerRuns).toBe(1);
+
+    outer.value = 1; // Old child disposed, new one created
+    expect(innerRuns).toBe(2);
+
+    inner.value = 1; // Only the live child should run
+    expect(innerRuns).toBe(3);
+  });
+
+  it("should run cleanups of nested effects on parent re-run", () => {
+    const outer = signal(0);
+    const cleanups = vi.fn();
+
+    effect(() => {
+      outer.value;
+      effect(() => cleanups);
+    });
+
+    outer.value = 1;
+    expect(cleanups).toHaveBeenCalledTimes(1);
+  });
+
+  it("should dispose everything created inside a root", () => {
+    const s = signal(0);
+    let effectRuns = 0;
+    let innerRuns = 0;
+    const cleanup = vi.fn();
+
+    const dispose = createRoot((dispose) => {
+      const double = computed(() => s.value * 2);
+      effect(() => {
+        double.value;
+        effectRuns++;
+        effect(() => {
+          s.value;
+          innerRuns++;
+          return cleanup;
+        });
+      });
+      return dispose;
+    });
+
+    expect(effectRuns).toBe(1);
+    expect(innerRuns).toBe(1);
+
+    dispose();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+
+    s.value = 1;
+    expect(effectRuns).toBe(1);
+    expect(innerRuns).toBe(1);
+  });
+
+  it("should compute once when read after being disposed unread", () => {
+    const s = signal(2);
+    const fn = vi.fn(() => s.value * 2);
+    const [c, m] = createRoot((dispose) => {
+      const handles = [computed(fn), memo(fn)];
+      dispose();
+      return handles;
+    });
+    const unread = computed(() => s.value + 1);
+    unread.dispose();
+
+    expect(c.value).toBe(4);
+    expect(c.peek()).toBe(4);
+    expect(m()).toBe(4);
+    expect(unread.peek()).toBe(3);
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    // Disposed nodes keep their value and track nothing
+    const seen = [];
+    effect(() => seen.push(c.value));
+    s.value = 3;
+    expect(c.value).toBe(4);
+    expect(seen).toEqual([4]);
+  });
+
+  it("should return the value of the root function", () => {
+    expect(createRoot(() => 42)).toBe(42);
+  });
+
+  it("should not dispose a root created inside an effect with the effect", () => {
+    const trigger = signal(0);
+    const s = signal(0);
+    let runs = 0;
+    let disposeRoot;
+
+    effect(() => {
+      if (trigger.value > 0) return;
+      createRoot((dispose) => {
+        disposeRoot = dispose;
+        effect(() => {
+          s.value;
+          runs++;
+        });
+      });
+    });
+
+    trigger.value = 1;
+    s.value = 1;
+    expect(runs).toBe(2);
+
+    disposeRoot();
+    s.value = 2;
+    expect(runs).toBe(2);
+  });
+});
+
+describe("onCleanup", () => {
+  it("should run cleanups before re-execution and on dispose", () => {
+    const s = signal(0);
+    const calls = [];
+
+    const e = effect(() => {
+      const v = s.value;
+      onCleanup(() => calls.push(`cleanup:${v}`));
+      calls.push(`run:${v}`);
+    });
+
+    s.value = 1;
+    e.dispose();
+    expect(calls).toEqual(["run:0", "cleanup:0", "run:1", "cleanup:1"]);
+  });
+
+  it("should run multiple cleanups in reverse order", () => {
+    const s = signal(0);
+    const calls = [];
+
+    effect(() => {
+      s.value;
+      onCleanup(() => calls.push(1));
+      onCleanup(() => calls.push(2));
+      return () => calls.push(3);
+    });
+
+    s.value = 1;
+    expect(calls).toEqual([3, 2, 1]);
+  });
+
+  it("should register cleanups from helper functions", () => {
+    const s = signal(0);
+    const cleared = vi.fn();
+
+    function useTimer() {
+      onCleanup(cleared);
+    }
+
+    effect(() => {
+      s.value;
+      useTimer();
+    });
+
+    s.value = 1;
+    expect(cleared).toHaveBeenCalledTimes(1);
+  });
+
+  it("should work inside computed, memo and roots", () => {
+    const s = signal(0);
+    const computedCleanup = vi.fn();
+    const memoCleanup = vi.fn();
+    const rootCleanup = vi.fn();
+
+    const [c, m, dispose] = createRoot((dispose) => {
+      onCleanup(rootCleanup);
+      const c = computed(() => {
+        onCleanup(computedCleanup);
+        return s.value;
+      });
+      const m = memo(() => {
+        onCleanup(memoCleanup);
+        return s.value;
+      });
+      return [c, m, dispose];
+    });
+    c.value;
+    m();
+
+    s.value = 1;
+    c.value; // Computeds re-run lazily, on read
+    m();
+    expect(computedCleanup).toHaveBeenCalledTimes(1);
+    expect(memoCleanup).toHaveBeenCalledTimes(1);
+    expect(rootCleanup).not.toHaveBeenCalled();
+
+    dispose();
+    expect(computedCleanup).toHaveBeenCalledTimes(2);
+    expect(memoCleanup).toHaveBeenCalledTimes(2);
+    expect(rootCleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it("should run remaining cleanups when one throws", () => {
+    const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+    const calls = [];
+
+    const e = effect(() => {
+      onCleanup(() => calls.push(1));
+      onCleanup(() => {
+        throw new Error("boom");
+      });
+      onCleanup(() => calls.push(3));
+    });
+
+    e.dispose();
+    expect(calls).toEqual([3, 1]);
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
+
+describe("untrack", () => {
+  it("should read signals without subscribing", () => {
+    const a = signal(1);
+    const b = signal(1);
+    let runs = 0;
+
+    effect(() => {
+      a.value;
+      untrack(() => b.value);
+      runs++;
+    });
+
+    b.value = 2;
+    expect(runs).toBe(1);
+    a.value = 2;
+    expect(runs).toBe(2);
+  });
+
+  it("should untrack reads buried in helpers and memo getters", () => {
+    const a = signal(1);
+    const b = signal(1);
+    const doubled = memo(() => b.value * 2);
+    const readAll = () => doubled() + b.value;
+    let seen;
+    let runs = 0;
+
+    effect(() => {
+      a.value;
+      seen = untrack(readAll);
+      runs++;
+    });
+    expect(seen).toBe(3);
+
+    b.value = 2;
+    expect(runs).toBe(1);
+  });
+
+  it("should return the value of the function", () => {
+    expect(untrack(() => 7)).toBe(7);
+  });
+});
+
+describe("on", () => {
+  it("should track only the listed sources", () => {
+    const a = signal(1);
+    const b = signal(10);
+    const calls = [];
+
+    effect(
+      on(a, (value, prev) => {
+        calls.push([value, prev, b.value]);
+      })
+    );
+
+    b.value = 20;
+    a.value = 2;
+    expect(calls).toEqual([
+      [1, undefined, 10],
+      [2, 1, 20],
+    ]);
+  });
+
+  it("should accept arrays of signals, computeds and getters", () => {
+    const a = signal(1);
+    const b = signal(2);
+    const sum = computed(() => a.value + b.value);
+    const doubled = memo(() => a.value * 2);
+    const calls = [];
+
+    effect(on([a, sum, doubled], (values, prev) => calls.push([values, prev])));
+
+    a.value = 2;
+    expect(calls[calls.length - 1]).toEqual([
+      [2, 4, 4],
+      [1, 3, 2],
+    ]);
+  });
+
+  it("should skip the first run when deferred", () => {
+    const a = signal(1);
+    const fn = vi.fn();
+
+    effect(on(a, fn, { defer: true }));
+    expect(fn).not.toHaveBeenCalled();
+
+    a.value = 2;
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith(2, 1);
+  });
+
+  it("should pass a returned cleanup through to the effect", () => {
+    const a = signal(1);
+    const cleanup = vi.fn();
+
+    effect(on(a, () => cleanup));
+    a.value = 2;
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("equality", () => {
+  it("should use a custom comparator for signal writes", () => {
+    const point = signal(
+      { x: 1, y: 1 },
+      { equals: (a, b) => a.x === b.x && a.y === b.y }
+    );
+    let runs = 0;
+    effect(() => {
+      point.value;
+      runs++;
+    });
+
+    point.value = { x: 1, y: 1 };
+    expect(runs).toBe(1);
+    point.value = { x: 2, y: 1 };
+    expect(runs).toBe(2);
+  });
+
+  it("should notify on every write when equals is false", () => {
+    const s = signal(1, { equals: false });
+    let runs = 0;
+    effect(() => {
+      s.value;
+      runs++;
+    });
+
+    s.value = 1;
+    s.value = 1;
+    expect(runs).toBe(3);
+  });
+
+  it("should stop propagation when a computed recomputes to an equal value", () => {
+    const n = signal(2);
+    const isEven = computed(() => n.value % 2 === 0);
+    let runs = 0;
+    effect(() => {
+      isEven.value;
+      runs++;
+    });
+    expect(runs).toBe(1);
+
+    n.value = 4;
+    expect(runs).toBe(1);
+    n.value = 5;
+    expect(runs).toBe(2);
+    expect(isEven.value).toBe(false);
+  });
+
+  it("should keep the previous value when a custom comparator matches", () => {
+    const items = signal([1, 2, 3]);
+    const sorted = computed(() => [...items.value].sort(), {
+      equals: (a, b) => a.length === b.length && a.every((v, i) => v === b[i]),
+    });
+    const first = sorted.value;
+    let runs = 0;
+    effect(() => {
+      sorted.value;
+      runs++;
+    });
+
+    items.value = [3, 2, 1];
+    expect(sorted.value).toBe(first);
+    expect(runs).toBe(1);
+  });
+
+  it("should always propagate computed values when equals is false", () => {
+    const n = signal(2);
+    const isEven = computed(() => n.value % 2 === 0, { equals: false });
+    let runs = 0;
+    effect(() => {
+      isEven.value;
+      runs++;
+    });
+
+    n.value = 4;
+    expect(runs).toBe(2);
+  });
+});
+
+describe("lazy evaluation", () => {
+  it("should not run a computed until it is read", () => {
+    const s = signal(1);
+    const fn = vi.fn(() => s.value * 2);
+    const double = computed(fn);
+    expect(fn).not.toHaveBeenCalled();
+
+    s.value = 2;
+    s.value = 3;
+    expect(fn).not.toHaveBeenCalled();
+
+    expect(double.value).toBe(6);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should recompute only on read after a source changes", () => {
+    const s = signal(1);
+    const fn = vi.fn(() => s.value * 2);
+    const double = computed(fn);
+
+    double.value;
+    double.value;
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    s.value = 2;
+    s.value = 3;
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(double.peek()).toBe(6);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should recompute computeds that effects depend on", () => {
+    const s = signal(1);
+    const double = computed(() => s.value * 2);
+    const seen = [];
+    effect(() => seen.push(double.value));
+
+    s.value = 2;
+    expect(seen).toEqual([2, 4]);
+  });
+
+  it("should skip recomputation when a source changes and changes back", () => {
+    const s = signal(1);
+    const fn = vi.fn(() => s.value * 2);
+    const double = computed(fn);
+    let runs = 0;
+    effect(() => {
+      double.value;
+      runs++;
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    batch(() => {
+      s.value = 2;
+      s.value = 1;
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(runs).toBe(1);
+  });
+
+  it("should skip downstream computeds when an upstream value is unchanged", () => {
+    const s = signal(1);
+    const parity = computed(() => s.value % 2);
+    const fn = vi.fn(() => (parity.value ? "odd" : "even"));
+    const label = computed(fn);
+
+    expect(label.value).toBe("odd");
+    s.value = 3;
+    expect(label.value).toBe("odd");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should track memo getters inside effects", () => {
+    const s = signal(1);
+    const double = memo(() => s.value * 2);
+    const seen = [];
+    effect(() => seen.push(double()));
+
+    s.value = 2;
+    expect(seen).toEqual([2, 4]);
+  });
+});
+
+describe("propagation", () => {
+  it("should run a diamond's sink once with settled values", () => {
+    const a = signal(1);
+    const b = computed(() => a.value + 1);
+    const c = computed(() => a.value * 2);
+    const dFn = vi.fn(() => `${b.value}:${c.value}`);
+    const d = computed(dFn);
+    const seen = [];
+    effect(() => seen.push(d.value));
+
+    a.value = 2;
+    expect(seen).toEqual(["2:2", "3:4"]);
+    expect(dFn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should run an effect reading both sides of a diamond once", () => {
+    const a = signal(1);
+    const b = computed(() => a.value + 1);
+    const c = computed(() => a.value * 2);
+    const seen = [];
+    effect(() => seen.push([b.value, c.value]));
+
+    a.value = 5;
+    expect(seen).toEqual([
+      [2, 2],
+      [6, 10],
+    ]);
+  });
+
+  it("should handle diamonds with an effect reading the source directly", () => {
+    const a = signal(1);
+    const b = computed(() => a.value * 10);
+    const seen = [];
+    effect(() => seen.push(a.value + b.value));
+
+    a.value = 2;
+    expect(seen).toEqual([11, 22]);
+  });
+
+  it("should settle deep chains in a single pass", () => {
+    const head = signal(0);
+    const fns = [];
+    let node = head;
+    for (let i = 0; i < 100; i++) {
+      const prev = node;
+      const fn = vi.fn(() => prev.value + 1);
+      fns.push(fn);
+      node = computed(fn);
+    }
+    const tail = node;
+    const seen = [];
+    effect(() => seen.push(tail.value));
+
+    head.value = 1;
+    expect(seen).toEqual([100, 101]);
+    expect(fns.every((fn) => fn.mock.calls.length === 2)).toBe(true);
+  });
+
+  it("should update wide fan-out once per subscriber per batch", () => {
+    const source = signal(0);
+    const runs = new Array(200).fill(0);
+    const derived = runs.map((_, i) => computed(() => source.value + i));
+    derived.forEach((d, i) =>
+      effect(() => {
+        d.value;
+        runs[i]++;
+      })
+    );
+
+    batch(() => {
+      source.value = 1;
+      source.value = 2;
+    });
+    expect(runs.every((r) => r === 2)).toBe(true);
+  });
+
+  it("should gather wide fan-in into a single run", () => {
+    const sources = Array.from({ length: 50 }, (_, i) => signal(i));
+    const sumFn = vi.fn(() => sources.reduce((acc, s) => acc + s.value, 0));
+    const sum = computed(sumFn);
+    const seen = [];
+    effect(() => seen.push(sum.value));
+
+    batch(() => sources.forEach((s) => (s.value += 1)));
+    expect(seen).toEqual([1225, 1275]);
+    expect(sumFn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not run a stale child effect before its parent re-runs", () => {
+    const s = signal(0);
+    const childRuns = [];
+
+    effect(() => {
+      // The child subscribes to `s` first, so it is queued before the parent
+      effect(() => childRuns.push(s.value));
+      s.value;
+    });
+
+    s.value = 1;
+    expect(childRuns).toEqual([0, 1]);
+  });
+
+  it("should skip branches that are no longer read", () => {
+    const toggle = signal(true);
+    const a = signal(1);
+    const aFn = vi.fn(() => a.value * 2);
+    const double = computed(aFn);
+    const seen = [];
+    effect(() => seen.push(toggle.value ? double.value : "off"));
+
+    batch(() => {
+      toggle.value = false;
+      a.value = 2;
+    });
+    expect(seen).toEqual([2, "off"]);
+    expect(aFn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("errors", () => {
+  afterEach(() => setErrorReporter(null));
+
+  it("should pass effect errors to the nearest boundary", () => {
+    const s = signal(0);
+    const handler = vi.fn();
+
+    catchError(() => {
+      effect(() => {
+        if (s.value > 0) throw new Error(`bad ${s.value}`);
+      });
+    }, handler);
+    expect(handler).not.toHaveBeenCalled();
+
+    s.value = 1;
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].message).toBe("bad 1");
+  });
+
+  it("should catch errors thrown synchronously by the boundary function", () => {
+    const handler = vi.fn();
+    const result = catchError(() => {
+      throw new Error("sync");
+    }, handler);
+
+    expect(result).toBeUndefined();
+    expect(handler.mock.calls[0][0].message).toBe("sync");
+  });
+
+  it("should forward errors thrown by a handler to the outer boundary", () => {
+    const outer = vi.fn();
+
+    catchError(() => {
+      catchError(
+        () =>
+          effect(() => {
+            throw new Error("inner");
+          }),
+        (err) => {
+          throw new Error(`wrapped ${err.message}`);
+        }
+      );
+    }, outer);
+
+    expect(outer.mock.calls[0][0].message).toBe("wrapped inner");
+  });
+
+  it("should keep running other effects when one throws", () => {
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    const s = signal(0);
+    const seen = [];
+
+    effect(() => {
+      if (s.value === 1) throw new Error("broken");
+    });
+    effect(() => seen.push(s.value));
+
+    s.value = 1;
+    expect(seen).toEqual([0, 1]);
+    expect(reporter).toHaveBeenCalledTimes(1);
+
+    s.value = 2; // The broken effect stays subscribed and recovers
+    expect(seen).toEqual([0, 1, 2]);
+    expect(reporter).toHaveBeenCalledTimes(1);
+  });
+
+  it("should pass errors reported through a handler to the boundary", () => {
+    const handler = vi.fn();
+    const onError = catchError(() => createErrorHandler(), handler);
+    onError(new Error("late"));
+    expect(handler.mock.calls[0][0].message).toBe("late");
+
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    createErrorHandler()(new Error("unhandled"));
+    expect(reporter.mock.calls[0][0].message).toBe("unhandled");
+  });
+
+  it("should flush the writes of a batch that throws", () => {
+    const a = signal(0);
+    const seen = [];
+    effect(() => seen.push(a.value));
+
+    expect(() =>
+      batch(() => {
+        a.value = 1;
+        throw new Error("batch");
+      })
+    ).toThrow("batch");
+    expect(seen).toEqual([0, 1]);
+
+    a.value = 2;
+    a.value = 3;
+    expect(seen).toEqual([0, 1, 2, 3]);
+  });
+
+  it("should run the remaining effects when the reporter rethrows", () => {
+    setErrorReporter((err) => {
+      throw err;
+    });
+    const s = signal(0);
+    const seen = [];
+
+    effect(() => {
+      if (s.value === 1) throw new Error("broken");
+    });
+    effect(() => seen.push(s.value));
+
+    expect(() => (s.value = 1)).toThrow("broken");
+    expect(seen).toEqual([0, 1]);
+
+    s.value = 2;
+    expect(seen).toEqual([0, 1, 2]);
+  });
+
+  it("should report unhandled errors with console.error by default", () => {
+    const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    effect(() => {
+      throw new Error("unhandled");
+    });
+
+    expect(errorSpy).toHaveBeenCalledTimes(1);
+    errorSpy.mockRestore();
+  });
+
+  it("should cache computed errors until sources change", () => {
+    const s = signal(0);
+    const fn = vi.fn(() => {
+      if (s.value < 0) throw new Error("negative");
+      return s.value;
+    });
+    const c = computed(fn);
+
+    s.value = -1;
+    expect(() => c.value).toThrow("negative");
+    expect(() => c.peek()).toThrow("negative");
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    s.value = 3;
+    expect(c.value).toBe(3);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should route computed errors read by effects to the boundary", () => {
+    const s = signal(1);
+    const c = computed(() => {
+      if (!s.value) throw new Error("zero");
+      return 10 / s.value;
+    });
+    const handler = vi.fn();
+    const seen = [];
+
+    catchError(() => effect(() => seen.push(c.value)), handler);
+
+    s.value = 0;
+    expect(handler.mock.calls[0][0].message).toBe("zero");
+
+    s.value = 2;
+    expect(seen).toEqual([10, 5]);
+  });
+
+  it("should route cleanup errors to the boundary", () => {
+    const handler = vi.fn();
+
+    const dispose = createRoot((dispose) => {
+      catchError(() => {
+        effect(() => () => {
+          throw new Error("cleanup");
+        });
+      }, handler);
+      return dispose;
+    });
+
+    dispose();
+    expect(handler.mock.calls[0][0].message).toBe("cleanup");
+  });
+});
+
+describe("cycles", () => {
+  afterEach(() => setErrorReporter(null));
+
+  it("should throw a CycleError when a computed reads itself", () => {
+    const self = computed(() => self.value + 1, { name: "self" });
+
+    let error;
+    try {
+      self.value;
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(CycleError);
+    expect(error.path).toEqual(['computed "self"', 'computed "self"']);
+  });
+
+  it("should list every computation in a mutual cycle", () => {
+    const a = computed(() => b.value, { name: "a" });
+    const b = computed(() => a.value, { name: "b" });
+
+    expect(() => a.value).toThrow(
+      '[tiny-signal] Cycle detected: computed "a" → computed "b" → computed "a"'
+    );
+  });
+
+  it("should detect an effect writing a signal it reads", () => {
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    const count = signal(0, { name: "count" });
+
+    effect(
+      () => {
+        count.value = count.value + 1;
+      },
+      { name: "increment" }
+    );
+
+    expect(reporter).toHaveBeenCalledTimes(1);
+    const err = reporter.mock.calls[0][0];
+    expect(err).toBeInstanceOf(CycleError);
+    expect(err.path).toEqual([
+      'effect "increment"',
+      'signal "count"',
+      'effect "increment"',
+    ]);
+  });
+
+  it("should detect writes that reach an effect through computeds", () => {
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    const count = signal(1, { name: "count" });
+    const double = computed(() => count.value * 2, { name: "double" });
+
+    effect(() => {
+      if (double.value < 10) count.value = double.value;
+    });
+
+    expect(reporter.mock.calls[0][0].path).toEqual([
+      "effect",
+      'signal "count"',
+      'computed "double"',
+      "effect",
+    ]);
+  });
+
+  it("should allow writes to sources an effect stopped reading", () => {
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    const mode = signal("read");
+    const count = signal(0);
+    const seen = [];
+
+    effect(() => {
+      if (mode.value === "read") seen.push(count.value);
+      else count.value = 10;
+    });
+    mode.value = "write";
+    count.value = 11;
+
+    expect(reporter).not.toHaveBeenCalled();
+    expect(seen).toEqual([0]);
+    expect(getObservers(count)).toEqual([]);
+  });
+
+  it("should allow effects to write signals they do not read", () => {
+    const source = signal(1);
+    const target = signal(0);
+
+    effect(() => {
+      target.value = source.value * 2;
+    });
+
+    source.value = 2;
+    expect(target.value).toBe(4);
+  });
+});
+
+describe("transitions", () => {
+  it("should let the transition read its own writes before commit", () => {
+    const a = signal(1);
+    const double = computed(() => a.value * 2);
+    const seen = [];
+
+    startTransition(() => {
+      a.value = 5;
+      seen.push(a.value, a.peek(), double.value, double.peek());
+    });
+    expect(seen).toEqual([5, 5, 10, 10]);
+  });
+
+  it("should hold writes until async work settles", async () => {
+    const a = signal(1);
+    const seen = [];
+    effect(() => seen.push(a.value));
+    let resolve;
+    const work = new Promise((r) => (resolve = r));
+
+    const done = startTransition(() => {
+      a.value = 2;
+      return work;
+    });
+    expect(a.value).toBe(1);
+    expect(isPending.value).toBe(true);
+
+    resolve();
+    await done;
+    expect(a.value).toBe(2);
+    expect(isPending.value).toBe(false);
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it("should keep writes made outside the transition before it commits", async () => {
+    const a = signal(0);
+    const b = signal(0);
+    let resolve;
+    const done = startTransition(() => {
+      a.value = 1;
+      b.value = 1;
+      return new Promise((r) => (resolve = r));
+    });
+
+    a.value = 5;
+    resolve();
+    await done;
+    expect(a.value).toBe(5);
+    expect(b.value).toBe(1);
+  });
+
+  it("should keep writes made by the callback after an await", async () => {
+    const a = signal(0);
+    const seen = [];
+    effect(() => seen.push(a.value));
+
+    await startTransition(async () => {
+      a.value = 1;
+      await Promise.resolve();
+      a.value = 2;
+    });
+    expect(a.value).toBe(2);
+    expect(seen).toEqual([0, 2]);
+  });
+
+  it("should commit all writes in a single batch", async () => {
+    const a = signal(1);
+    const b = signal(1);
+    let runs = 0;
+    effect(() => {
+      a.value;
+      b.value;
+      runs++;
+    });
+
+    await startTransition(async () => {
+      a.value = 2;
+      b.value = 2;
+    });
+    expect(runs).toBe(2);
+  });
+
+  it("should update isPending reactively", async () => {
+    const seen = [];
+    effect(() => seen.push(isPending.value));
+
+    await startTransition(() => Promise.resolve());
+    expect(seen).toEqual([false, true, false]);
+  });
+
+  it("should keep separate write sets for concurrent transitions", async () => {
+    const a = signal(0);
+    const b = signal(0);
+    let resolveFirst;
+    const first = startTransition(() => {
+      a.value = 1;
+      return new Promise((r) => (resolveFirst = r));
+    });
+    const second = startTransition(() => {
+      expect(a.value).toBe(0); // Not visible to other transitions
+      b.value = 1;
+      return Promise.resolve();
+    });
+
+    await second;
+    expect([a.value, b.value]).toEqual([0, 1]);
+    resolveFirst();
+    await first;
+    expect([a.value, b.value]).toEqual([1, 1]);
+  });
+
+  it("should discard held writes when the transition fails", async () => {
+    const a = signal(1);
+
+    await expect(
+      startTransition(async () => {
+        a.value = 2;
+        throw new Error("failed");
+      })
+    ).rejects.toThrow("failed");
+    expect(a.value).toBe(1);
+    expect(isPending.value).toBe(false);
+  });
+});
+
+describe("scheduling", () => {
+  afterEach(() => {
+    enableScheduling(false);
+    vi.useRealTimers();
+  });
+
+  it("should run an effect's first run synchronously", () => {
+    enableScheduling("microtask");
+    const runs = vi.fn();
+    effect(runs);
+    expect(runs).toHaveBeenCalledTimes(1);
+  });
+
+  it("should coalesce writes into one microtask flush", async () => {
+    enableScheduling("microtask");
+    const s = signal(0);
+    const seen = [];
+    effect(() => seen.push(s.value));
+
+    s.value = 1;
+    s.value = 2;
+    s.value = 3;
+    expect(seen).toEqual([0]);
+
+    await Promise.resolve();
+    expect(seen).toEqual([0, 3]);
+  });
+
+  it("should request a single flush for many dirty effects", () => {
+    const requests = [];
+    enableScheduling((flush) => requests.push(flush));
+    const s = signal(0);
+    let runs = 0;
+    for (let i = 0; i < 500; i++) {
+      effect(() => {
+        s.value;
+        runs++;
+      });
+    }
+
+    s.value = 1;
+    s.value = 2;
+    expect(requests.length).toBe(1);
+
+    requests[0]();
+    expect(runs).toBe(1000);
+  });
+
+  it("should drain the queue immediately with flushSync", () => {
+    enableScheduling("microtask");
+    const s = signal(0);
+    const seen = [];
+    effect(() => seen.push(s.value));
+
+    s.value = 1;
+    flushSync();
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it("should fall back to timers for animation scheduling outside browsers", () => {
+    vi.useFakeTimers();
+    enableScheduling("animation");
+    const s = signal(0);
+    const seen = [];
+    effect(() => seen.push(s.value));
+
+    s.value = 1;
+    expect(seen).toEqual([0]);
+    vi.advanceTimersByTime(16);
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it("should flush pending effects when scheduling is turned off", () => {
+    enableScheduling("microtask");
+    const s = signal(0);
+    const seen = [];
+    effect(() => seen.push(s.value));
+
+    s.value = 1;
+    enableScheduling(false);
+    expect(seen).toEqual([0, 1]);
+
+    s.value = 2;
+    expect(seen).toEqual([0, 1, 2]);
+  });
+
+  it("should run effects queued during a flush in the same flush", () => {
+    enableScheduling("microtask");
+    const a = signal(0);
+    const b = signal(0);
+    const seen = [];
+    effect(() => {
+      b.value = a.value * 2;
+    });
+    effect(() => seen.push(b.value));
+
+    a.value = 1;
+    flushSync();
+    expect(seen).toEqual([0, 2]);
+  });
+});
+
+describe("runtimes", () => {
+  it("should provide a working core API", () => {
+    const rt = createRuntime();
+    const a = rt.signal(1);
+    const double = rt.computed(() => a.value * 2);
+    const seen = [];
+    rt.effect(() => seen.push(double.value));
+
+    rt.batch(() => {
+      a.value = 2;
+      a.value = 3;
+    });
+    expect(seen).toEqual([2, 6]);
+  });
+
+  it("should keep middleware private to its runtime", () => {
+    const rt = createRuntime();
+    const calls = [];
+    const remove = rt.use((type, value) => {
+      if (type === "set") calls.push(value);
+      return value;
+    });
+
+    rt.signal(0).value = 1;
+    signal(0).value = 2;
+    remove();
+
+    expect(calls).toEqual([1]);
+  });
+
+  it("should not let middleware from the default runtime leak in", () => {
+    const calls = [];
+    const remove = use((type, value) => {
+      if (type === "set") calls.push(value);
+      return value;
+    });
+
+    createRuntime().signal(0).value = 1;
+    remove();
+
+    expect(calls).toEqual([]);
+  });
+
+  it("should schedule and batch independently", () => {
+    const rt = createRuntime();
+    rt.enableScheduling("microtask");
+    const a = rt.signal(0);
+    const b = signal(0);
+    const seenA = [];
+    const seenB = [];
+    rt.effect(() => seenA.push(a.value));
+    effect(() => seenB.push(b.value));
+
+    a.value = 1;
+    b.value = 1;
+    expect(seenA).toEqual([0]);
+    expect(seenB).toEqual([0, 1]);
+
+    // Flushing the default runtime leaves the other runtime's queue alone
+    flushSync();
+    expect(seenA).toEqual([0]);
+
+    rt.flushSync();
+    expect(seenA).toEqual([0, 1]);
+  });
+
+  it("should keep error reporters separate", () => {
+    const rt = createRuntime();
+    const reported = [];
+    rt.setErrorReporter((err) => reported.push(err.message));
+    rt.effect(() => {
+      throw new Error("boom");
+    });
+
+    expect(reported).toEqual(["boom"]);
+  });
+
+  it("should keep transitions separate", async () => {
+    const rt = createRuntime();
+    const a = rt.signal(0);
+    const b = signal(0);
+
+    const done = startTransition(() => {
+      a.value = 1;
+      b.value = 1;
+      // Only the default runtime's signal is held
+      expect(a.peek()).toBe(1);
+    });
+    expect(rt.isPending.value).toBe(false);
+    await done;
+    expect(b.value).toBe(1);
+  });
+
+  it("should not track signals of another runtime", () => {
+    const rt = createRuntime();
+    const a = rt.signal(0);
+    const fn = vi.fn(() => a.value);
+    effect(fn);
+
+    a.value = 1;
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("subscriptions", () => {
+  afterEach(() => setErrorReporter(null));
+
+  it("should emit the current value at once, then every change", () => {
+    const count = signal(0);
+    const seen = [];
+    const unsubscribe = count.subscribe((v) => seen.push(v));
+    expect(seen).toEqual([0]);
+
+    count.value = 1;
+    count.value = 1;
+    count.value = 2;
+    unsubscribe();
+    count.value = 3;
+    expect(seen).toEqual([0, 1, 2]);
+  });
+
+  it("should emit once per batch with the final value", () => {
+    const a = signal(1);
+    const b = signal(2);
+    const sum = computed(() => a.value + b.value);
+    const seen = [];
+    sum.subscribe((v) => seen.push(v));
+
+    batch(() => {
+      a.value = 10;
+      b.value = 20;
+    });
+    batch(() => {
+      a.value = 0;
+      a.value = 10;
+    });
+    expect(seen).toEqual([3, 30]);
+  });
+
+  it("should support memos", () => {
+    const n = signal(1);
+    const double = memo(() => n.value * 2);
+    const seen = [];
+    double.subscribe((v) => seen.push(v));
+    n.value = 2;
+    expect(seen).toEqual([2, 4]);
+  });
+
+  it("should outlive the effect it was created in", () => {
+    const trigger = signal(0);
+    const source = signal("a");
+    const seen = [];
+    effect(() => {
+      if (trigger.value === 0) source.subscribe((v) => seen.push(v));
+    });
+
+    trigger.value = 1;
+    source.value = "b";
+    expect(seen).toEqual(["a", "b"]);
+  });
+
+  it("should not track reads made by the callback", () => {
+    const source = signal(0);
+    const other = signal(0);
+    const callback = vi.fn(() => other.value);
+    source.subscribe(callback);
+
+    other.value = 1;
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it("should pass computed errors to onError", () => {
+    const n = signal(1);
+    const value = computed(() => {
+      if (n.value < 0) throw new Error("negative");
+      return n.value;
+    });
+    const onError = vi.fn();
+    const seen = [];
+    value.subscribe((v) => seen.push(v), onError);
+
+    n.value = -1;
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+    n.value = 2;
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it("should be an Observable", () => {
+    const count = signal(1);
+    const observable = count[OBSERVABLE]();
+    expect(observable[OBSERVABLE]()).toBe(observable);
+
+    const next = vi.fn();
+    const subscription = observable.subscribe({ next });
+    count.value = 2;
+    subscription.unsubscribe();
+    count.value = 3;
+    expect(next.mock.calls).toEqual([[1], [2]]);
+    expect(subscription.closed).toBe(true);
+  });
+
+  it("should end an Observable subscription on error", () => {
+    const fail = signal(false);
+    const value = computed(() => {
+      if (fail.value) throw new Error("boom");
+      return 1;
+    });
+    const error = vi.fn();
+    const subscription = value[OBSERVABLE]().subscribe({ error });
+
+    fail.value = true;
+    fail.value = false;
+    fail.value = true;
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(subscription.closed).toBe(true);
+  });
+
+  it("should iterate distinct values asynchronously", async () => {
+    const count = signal(0, { equals: false });
+    const seen = [];
+    const done = (async () => {
+      for await (const value of count) {
+        seen.push(value);
+        if (value === 3) break;
+      }
+    })();
+
+    count.value = 1;
+    count.value = 1;
+    count.value = 2;
+    await Promise.resolve();
+    count.value = 3;
+    await done;
+
+    expect(seen).toEqual([0, 1, 2, 3]);
+    // Breaking out of the loop unsubscribes
+    expect(getObservers(count)).toEqual([]);
+  });
+
+  it("should reject the iteration when a computed throws", async () => {
+    const fail = signal(false);
+    const value = computed(() => {
+      if (fail.value) throw new Error("boom");
+      return 1;
+    });
+    const iterator = value[Symbol.asyncIterator]();
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+
+    const pending = iterator.next();
+    fail.value = true;
+    await expect(pending).rejects.toThrow("boom");
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Storage adapters for the persist middleware. An adapter stores strings by
+ * key; any method may return a promise instead of a value.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): (string|null|Promise<string|null>)} getItem
+ * @property {function(string, string): (void|Promise<void>)} setItem
+ * @property {function(string): (void|Promise<void>)} removeItem
+ */
+
+/**
+ * @public
+ * Creates a synchronous adapter keeping values in memory.
+ *
+ * @param {Iterable<[string, string]>} [entries] - Initial contents
+ * @returns {StorageAdapter & {data: Map<string, string>}} Memory adapter
+ */
+export function createMemoryStorage(entries) {
+  const data = new Map(entries);
+  return {
+    data,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => {
+      data.set(key, value);
+    },
+    removeItem: (key) => {
+      data.delete(key);
+    },
+  };
+}
+
+/**
+ * @public
+ * Creates a synchronous adapter over a Web Storage object such as
+ * `localStorage` or `sessionStorage`.
+ *
+ * @param {Storage} [storage=globalThis.localStorage] - Web Storage object
+ * @returns {StorageAdapter} Web Storage adapter
+ */
+export function createWebStorage(storage = globalThis.localStorage) {
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+}
+
+/**
+ * @public
+ * Creates an asynchronous adapter over a key-value store whose methods return
+ * promises, such as IndexedDB wrappers or remote caches.
+ *
+ * @param {{
+ *   get(key: string): Promise<string|null|undefined>,
+ *   set(key: string, value: string): Promise<any>,
+ *   delete(key: string): Promise<any>
+ * }} store - Key-value store
+ * @returns {StorageAdapter} Asynchronous adapter
+ */
+export function createAsyncStorage(store) {
+  return {
+    getItem: async (key) => (await store.get(key)) ?? null,
+    setItem: async (key, value) => {
+      await store.set(key, value);
+    },
+    removeItem: async (key) => {
+      await store.delete(key);
+    },
+  };
+}
+
+/**
+ * @public
+ * Creates an asynchronous adapter storing each key as a file in a directory,
+ * for Node. The directory is created on the first write. `node:fs` is loaded
+ * on first use, so importing this module stays safe in browsers.
+ *
+ * @param {string} dir - Directory holding the files
+ * @returns {StorageAdapter} File-system adapter
+ */
+export function createFileStorage(dir) {
+  let modules;
+  const load = () =>
+    (modules ||= Promise.all([
+      import("node:fs/promises"),
+      import("node:path"),
+    ]));
+  const fileOf = (path, key) => path.join(dir, encodeURIComponent(key));
+
+  return {
+    async getItem(key) {
+      const [fs, path] = await load();
+      try {
+        return await fs.readFile(fileOf(path, key), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async setItem(key, value) {
+      const [fs, path] = await load();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileOf(path, key), value, "utf8");
+    },
+    async removeItem(key) {
+      const [fs, path] = await load();
+      await fs.rm(fileOf(path, key), { force: true });
+    },
+  };
+}
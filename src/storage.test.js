@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  createMemoryStorage,
+  createWebStorage,
+  createAsyncStorage,
+  createFileStorage,
+} from "./storage.js";
+
+describe("storage adapters", () => {
+  it("should keep values in memory", () => {
+    const storage = createMemoryStorage([["a", "1"]]);
+    expect(storage.getItem("a")).toBe("1");
+    expect(storage.getItem("b")).toBe(null);
+
+    storage.setItem("b", "2");
+    storage.removeItem("a");
+    expect([...storage.data]).toEqual([["b", "2"]]);
+  });
+
+  it("should delegate to a Web Storage object", () => {
+    const storage = createWebStorage(createMemoryStorage());
+    storage.setItem("a", "1");
+    expect(storage.getItem("a")).toBe("1");
+    storage.removeItem("a");
+    expect(storage.getItem("a")).toBe(null);
+  });
+
+  it("should wrap an asynchronous key-value store", async () => {
+    const map = new Map();
+    const storage = createAsyncStorage({
+      get: async (key) => map.get(key),
+      set: async (key, value) => map.set(key, value),
+      delete: async (key) => map.delete(key),
+    });
+
+    expect(await storage.getItem("a")).toBe(null);
+    await storage.setItem("a", "1");
+    expect(await storage.getItem("a")).toBe("1");
+    await storage.removeItem("a");
+    expect(map.size).toBe(0);
+  });
+
+  describe("file storage", () => {
+    let dir;
+    afterEach(() => rm(dir, { recursive: true, force: true }));
+
+    it("should store each key as a file", async () => {
+      dir = await mkdtemp(join(tmpdir(), "tiny-signal-"));
+      const storage = createFileStorage(join(dir, "state"));
+
+      expect(await storage.getItem("user/name")).toBe(null);
+      await storage.setItem("user/name", '"Ada"');
+      expect(await storage.getItem("user/name")).toBe('"Ada"');
+      expect(await readdir(join(dir, "state"))).toEqual(["user%2Fname"]);
+
+      await storage.removeItem("user/name");
+      await storage.removeItem("missing");
+      expect(await storage.getItem("user/name")).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+import { signal, batch, untrack } from "./signal.js";
+import { hasOwn, STRUCTURE, ARRAY_MUTATORS } from "./utils.js";
+import { transitions } from "./transition.js";
+
+const RAW = Symbol("tiny-signal.raw");
+
+// raw object → proxy
+const proxies = new WeakMap();
+// raw object → Map<key, signal> of the properties read so far
+const nodes = new WeakMap();
+// raw object → path of keys from the store root, for names and middleware
+const paths = new WeakMap();
+// transition → Map<signal, function> of the last raw mutation held per key
+const held = new WeakMap();
+
+/**
+ * @private
+ * Whether a value is plain data that the store wraps in a reactive proxy:
+ * arrays and objects whose prototype is `Object.prototype` or null.
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects and arrays
+ */
+function isWrappable(value) {
+  if (value === null || typeof value !== "object") return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * @private
+ * Returns the signal tracking one key of a raw object, creating it on first
+ * use. The signal is named after the key's path so middleware can tell store
+ * writes apart.
+ *
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key, or STRUCTURE for the key set
+ * @returns {Object} Signal holding the property value
+ */
+function getNode(target, key) {
+  let map = nodes.get(target);
+  if (!map) nodes.set(target, (map = new Map()));
+
+  let node = map.get(key);
+  if (!node) {
+    const path =
+      key === STRUCTURE ? paths.get(target) : [...paths.get(target), key];
+    node =
+      key === STRUCTURE
+        ? signal(0, { name: `${path.join(".")}[keys]`, type: "store", path })
+        : signal(target[key], { name: path.join("."), type: "store", path });
+    map.set(key, node);
+  }
+  return node;
+}
+
+/**
+ * @private
+ * Writes one key of a raw object through its signal, so that `set`
+ * middleware sees and may transform the write, and keeps the raw object in
+ * sync with the accepted value. A new key is only added when the write is
+ * accepted: one left `undefined` by a defined value was vetoed.
+ *
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key
+ * @param {any} value - Unwrapped value to write
+ * @returns {boolean} Whether the key exists after the write
+ */
+function writeNode(target, key, value) {
+  const node = getNode(target, key);
+  node.value = value;
+  const next = node.peek();
+  if (!hasOwn(target, key) && next === undefined && value !== undefined) {
+    return false;
+  }
+  target[key] = next;
+  return true;
+}
+
+/**
+ * @private
+ * Records a change to the set of keys of a raw object.
+ *
+ * @param {Object} target - Raw object
+ * @returns {void}
+ */
+function bumpStructure(target) {
+  const node = nodes.get(target)?.get(STRUCTURE);
+  if (node) node.value = node.peek() + 1;
+}
+
+/**
+ * @private
+ * Returns the reactive proxy for plain data, creating it on first access.
+ * Other values are returned as they are.
+ *
+ * @param {any} value - Raw value
+ * @param {Array<string|symbol>} path - Path of the value from the store root
+ * @returns {any} Proxy for plain data, or the value itself
+ */
+function wrap(value, path) {
+  if (!isWrappable(value)) return value;
+  let proxy = proxies.get(value);
+  if (!proxy) {
+    if (!paths.has(value)) paths.set(value, path);
+    proxy = new Proxy(value, handler);
+    proxies.set(value, proxy);
+  }
+  return proxy;
+}
+
+/**
+ * @private
+ * Applies a write to one key of a raw object as a single batch, keeping array
+ * lengths, truncated indices and the key set in sync with it.
+ *
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key
+ * @param {any} value - Unwrapped value being written
+ * @param {function(): boolean} write - Performs the write, returning whether
+ *   the key exists afterwards
+ * @returns {void}
+ */
+function applyWrite(target, key, value, write) {
+  const hadKey = hasOwn(target, key);
+  const isArray = Array.isArray(target);
+  const prevLength = isArray ? target.length : 0;
+
+  batch(() => {
+    if (isArray && key === "length" && value < prevLength) {
+      // Truncation removes indices without going through `set`
+      for (let i = value; i < prevLength; i++) {
+        if (nodes.get(target)?.has(String(i))) {
+          writeNode(target, String(i), undefined);
+        }
+      }
+    }
+
+    const added = write() && !hadKey;
+
+    if (isArray && key !== "length" && target.length !== prevLength) {
+      writeNode(target, "length", target.length);
+    }
+    if (added || (isArray && key === "length" && value < prevLength)) {
+      bumpStructure(target);
+    }
+  });
+}
+
+/**
+ * @private
+ * Holds a mutation of the raw object until the active transition commits.
+ * Only the last mutation of each key is applied, in the order the keys were
+ * first changed.
+ *
+ * @param {Object} node - Signal of the changed key
+ * @param {function(): void} apply - Applies the mutation to the raw object
+ * @returns {void}
+ */
+function holdMutation(node, apply) {
+  const transition = transitions.active;
+  let mutations = held.get(transition);
+  if (!mutations) {
+    held.set(transition, (mutations = new Map()));
+    transition.onCommit(() => mutations.forEach((apply) => apply()));
+  }
+  mutations.set(node, apply);
+}
+
+/**
+ * @private
+ * Applies a write held by a transition to the raw object once it commits. By
+ * then the signal holds the accepted value, so middleware is not run again;
+ * nothing changes if the write was vetoed or overwritten by a newer one that
+ * already reached the raw object.
+ *
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key
+ * @param {any} value - Unwrapped value that was written
+ * @returns {void}
+ */
+function commitWrite(target, key, value) {
+  const next = getNode(target, key).peek();
+  if (hasOwn(target, key)) {
+    if (Object.is(target[key], next)) return;
+  } else if (next === undefined && value !== undefined) {
+    return;
+  }
+  applyWrite(target, key, next, () => {
+    target[key] = next;
+    return true;
+  });
+}
+
+/**
+ * @private
+ * Deletes one key of a raw object, clearing its signal.
+ *
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key
+ * @returns {void}
+ */
+function deleteKey(target, key) {
+  if (!hasOwn(target, key)) return;
+  batch(() => {
+    if (nodes.get(target)?.has(key)) writeNode(target, key, undefined);
+    delete target[key];
+    bumpStructure(target);
+  });
+}
+
+const handler = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+
+    if (Array.isArray(target) && ARRAY_MUTATORS.has(key)) {
+      // Run array mutations as one batch instead of one update per index.
+      // They read the indices they move, which must not subscribe the caller
+      return (...args) =>
+        untrack(() => batch(() => Array.prototype[key].apply(receiver, args)));
+    }
+
+    // Prototype members such as methods are not tracked
+    if (typeof key === "symbol" || (!hasOwn(target, key) && key in target)) {
+      return Reflect.get(target, key, receiver);
+    }
+
+    return wrap(getNode(target, key).value, [...paths.get(target), key]);
+  },
+
+  set(target, key, value) {
+    value = unwrap(value);
+    if (transitions.active) {
+      // The signal holds the write in the transition's fork; the raw object
+      // only changes once the transition commits
+      const node = getNode(target, key);
+      node.value = value;
+      holdMutation(node, () => commitWrite(target, key, value));
+      return true;
+    }
+    applyWrite(target, key, value, () => writeNode(target, key, value));
+    return true;
+  },
+
+  deleteProperty(target, key) {
+    if (transitions.active) {
+      const node = getNode(target, key);
+      node.value = undefined;
+      holdMutation(node, () => {
+        if (node.peek() === undefined) deleteKey(target, key);
+      });
+      return true;
+    }
+    deleteKey(target, key);
+    return true;
+  },
+
+  has(target, key) {
+    if (typeof key !== "symbol") getNode(target, key).value;
+    return key in target;
+  },
+
+  ownKeys(target) {
+    getNode(target, STRUCTURE).value;
+    return Reflect.ownKeys(target);
+  },
+};
+
+/**
+ * @public
+ * Creates a deeply reactive store. Reading a property tracks that exact path,
+ * nested objects and arrays become reactive lazily when first read, and a
+ * write notifies only the computations that read the changed path (iterating
+ * keys tracks additions and deletions). Writes go through the `set`
+ * middleware like signal writes, with `ctx.type` set to `"store"` and
+ * `ctx.path` holding the property path. Inside `startTransition`, writes are
+ * held like signal writes and reach the raw data only when the transition
+ * commits.
+ *
+ * @template T
+ * @param {T} initial - Plain object or array holding the initial state
+ * @param {Object} [options={}] - Configuration options
+ * @param {string} [options.name="store"] - Name used as the root of paths
+ * @returns {T} Reactive proxy over the state
+ */
+export function store(initial, options = {}) {
+  if (!isWrappable(initial)) {
+    throw new TypeError(
+      "[tiny-signal] store() expects a plain object or array"
+    );
+  }
+  const raw = unwrap(initial);
+  if (!paths.has(raw)) paths.set(raw, [options.name || "store"]);
+  return wrap(raw, paths.get(raw));
+}
+
+/**
+ * @public
+ * Returns the raw data behind a store proxy, or the value itself if it is not
+ * a store proxy. Mutating the raw data bypasses reactivity.
+ *
+ * @template T
+ * @param {T} value - Store proxy or any value
+ * @returns {T} The underlying raw value
+ */
+export function unwrap(value) {
+  return (value !== null && typeof value === "object" && value[RAW]) || value;
+}
+
+/**
+ * @public
+ * Returns a deep, untracked copy of a store's current state as plain data.
+ *
+ * @template T
+ * @param {T} value - Store proxy or plain data
+ * @returns {T} Plain copy of the data
+ */
+export function snapshot(value) {
+  return untrack(() => clone(unwrap(value)));
+}
+
+/**
+ * @private
+ * Deep-copies plain data, leaving other values shared.
+ *
+ * @param {any} value - Raw value
+ * @returns {any} Copy of the value
+ */
+function clone(value) {
+  if (!isWrappable(value)) return value;
+  if (Array.isArray(value)) return value.map((item) => clone(unwrap(item)));
+  const copy = Object.getPrototypeOf(value) === null ? Object.create(null) : {};
+  for (const key of Object.keys(value)) copy[key] = clone(unwrap(value[key]));
+  return copy;
+}
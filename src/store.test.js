@@ -0,0 +1,257 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  effect,
+  computed,
+  batch,
+  use,
+  SKIP,
+  setErrorReporter,
+  startTransition,
+} from "./signal.js";
+import { store, unwrap, snapshot } from "./store.js";
+
+describe("store", () => {
+  it("should read and write nested properties", () => {
+    const state = store({ user: { name: "Ada", tags: ["a"] } });
+
+    expect(state.user.name).toBe("Ada");
+    state.user.name = "Grace";
+    expect(state.user.name).toBe("Grace");
+    expect(state.user.tags[0]).toBe("a");
+  });
+
+  it("should notify only effects that read the changed path", () => {
+    const state = store({ user: { name: "Ada", age: 36 } });
+    const name = vi.fn(() => state.user.name);
+    const age = vi.fn(() => state.user.age);
+    effect(name);
+    effect(age);
+
+    state.user.age = 37;
+    expect(age).toHaveBeenCalledTimes(2);
+    expect(name).toHaveBeenCalledTimes(1);
+
+    state.user.name = "Grace";
+    expect(name).toHaveBeenCalledTimes(2);
+    expect(age).toHaveBeenCalledTimes(2);
+  });
+
+  it("should notify readers of nested paths when a parent is replaced", () => {
+    const state = store({ user: { name: "Ada" } });
+    const seen = [];
+    effect(() => seen.push(state.user.name));
+
+    state.user = { name: "Grace" };
+    expect(seen).toEqual(["Ada", "Grace"]);
+  });
+
+  it("should skip notifications for equal writes", () => {
+    const state = store({ count: 1 });
+    const fn = vi.fn(() => state.count);
+    effect(fn);
+
+    state.count = 1;
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should track added and deleted keys when iterating", () => {
+    const state = store({ a: 1 });
+    const keys = computed(() => Object.keys(state).join(","));
+    expect(keys.value).toBe("a");
+
+    state.b = 2;
+    expect(keys.value).toBe("a,b");
+
+    delete state.a;
+    expect(keys.value).toBe("b");
+  });
+
+  it("should track `in` checks", () => {
+    const state = store({});
+    const has = computed(() => "a" in state);
+    expect(has.value).toBe(false);
+
+    state.a = 1;
+    expect(has.value).toBe(true);
+  });
+
+  it("should batch array mutations", () => {
+    const state = store({ list: [1, 2] });
+    const seen = [];
+    effect(() => seen.push(state.list.length));
+
+    state.list.push(3, 4);
+    expect(seen).toEqual([2, 4]);
+    expect(state.list[3]).toBe(4);
+
+    state.list.splice(0, 2);
+    expect(seen).toEqual([2, 4, 2]);
+    expect(snapshot(state.list)).toEqual([3, 4]);
+  });
+
+  it("should not track the reads array mutations make", () => {
+    const state = store({ list: [] });
+    const input = store({ text: "" });
+    const runs = vi.fn();
+    const reporter = vi.fn();
+    setErrorReporter(reporter);
+    effect(() => {
+      runs();
+      if (input.text) state.list.push(input.text);
+    });
+
+    input.text = "a";
+    input.text = "b";
+    setErrorReporter(null);
+    expect(reporter).not.toHaveBeenCalled();
+    expect(snapshot(state.list)).toEqual(["a", "b"]);
+    expect(runs).toHaveBeenCalledTimes(3);
+  });
+
+  it("should notify index readers when an array is truncated", () => {
+    const state = store([1, 2, 3]);
+    const last = computed(() => state[2]);
+    expect(last.value).toBe(3);
+
+    state.length = 1;
+    expect(last.value).toBeUndefined();
+  });
+
+  it("should group writes in a batch", () => {
+    const state = store({ a: 1, b: 2 });
+    const fn = vi.fn(() => state.a + state.b);
+    effect(fn);
+
+    batch(() => {
+      state.a = 10;
+      state.b = 20;
+    });
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveLastReturnedWith(30);
+  });
+
+  it("should return the same proxy for the same nested object", () => {
+    const state = store({ user: { name: "Ada" } });
+    expect(state.user).toBe(state.user);
+  });
+
+  it("should store raw data when assigning a store proxy", () => {
+    const state = store({ a: { value: 1 }, b: null });
+    state.b = state.a;
+
+    expect(unwrap(state).b).toBe(unwrap(state).a);
+    expect(state.b).toBe(state.a);
+  });
+
+  it("should unwrap and snapshot to plain data", () => {
+    const initial = { user: { name: "Ada" }, list: [1] };
+    const state = store(initial);
+
+    expect(unwrap(state)).toBe(initial);
+    expect(unwrap(42)).toBe(42);
+
+    const copy = snapshot(state);
+    expect(copy).toEqual(initial);
+    expect(copy.user).not.toBe(initial.user);
+  });
+
+  it("should not track reads made by snapshot", () => {
+    const state = store({ a: 1 });
+    const fn = vi.fn(() => snapshot(state));
+    effect(fn);
+
+    state.a = 2;
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should run writes through set middleware", () => {
+    const calls = [];
+    const remove = use((type, value, ctx) => {
+      if (type === "set" && ctx.type === "store") {
+        calls.push([ctx.name, ctx.prevValue, value]);
+        // Reject negative values
+        if (value < 0) return SKIP;
+      }
+      return value;
+    });
+
+    const state = store({ user: { age: 1 } }, { name: "app" });
+    state.user.age = 2;
+    state.user.age = -1;
+    remove();
+
+    expect(state.user.age).toBe(2);
+    expect(unwrap(state).user.age).toBe(2);
+    expect(calls).toEqual([
+      ["app.user.age", 1, 2],
+      ["app.user.age", 2, -1],
+    ]);
+  });
+
+  it("should not add keys whose write middleware vetoed", () => {
+    const remove = use((type, value, ctx) =>
+      type === "set" && ctx.type === "store" && value === "bad" ? SKIP : value
+    );
+    const list = store(["a", "b", "c"]);
+    const keys = vi.fn();
+    effect(() => keys(Object.keys(list)));
+
+    list[3] = "bad";
+    list.extra = "bad";
+    remove();
+
+    expect(list.length).toBe(3);
+    expect("extra" in list).toBe(false);
+    expect(keys).toHaveBeenCalledTimes(1);
+  });
+
+  it("should hold writes made inside a transition until it commits", async () => {
+    const state = store({ a: 1, list: ["x"] });
+    const seen = vi.fn();
+    effect(() => seen(state.a));
+    let resolve;
+
+    const done = startTransition(() => {
+      state.a = 2;
+      state.b = 3;
+      state.list.push("y");
+      delete state.a;
+      state.a = 4;
+      expect(state.a).toBe(4);
+      return new Promise((r) => (resolve = r));
+    });
+
+    expect(state.a).toBe(1);
+    expect(snapshot(state)).toEqual({ a: 1, list: ["x"] });
+    expect(Object.keys(state)).toEqual(["a", "list"]);
+    expect("b" in state).toBe(false);
+
+    resolve();
+    await done;
+    expect(snapshot(state)).toEqual({ a: 4, list: ["x", "y"], b: 3 });
+    expect(state.list.length).toBe(2);
+    expect(seen.mock.calls).toEqual([[1], [4]]);
+  });
+
+  it("should leave the data untouched when a transition fails", async () => {
+    const state = store({ a: 1 });
+
+    await expect(
+      startTransition(async () => {
+        state.a = 2;
+        state.b = 3;
+        delete state.a;
+        throw new Error("failed");
+      })
+    ).rejects.toThrow("failed");
+
+    expect(state.a).toBe(1);
+    expect(snapshot(state)).toEqual({ a: 1 });
+    expect("b" in state).toBe(false);
+  });
+
+  it("should reject values that are not plain objects or arrays", () => {
+    expect(() => store(1)).toThrow(TypeError);
+    expect(() => store(new Map())).toThrow(TypeError);
+  });
+});
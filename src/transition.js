@@ -0,0 +1,19 @@
+/**
+ * Creates the transition state of a runtime, shared by the core and async
+ * primitives such as `resource`. Internal: not re-exported from the package
+ * entry.
+ *
+ * @returns {{active: Object|null, hooks: Set<Function>}} Transition state
+ */
+export function createTransitionState() {
+  return {
+    // Transition whose callback is currently running, if any
+    active: null,
+    // Called with each transition once its callback has run, so that async
+    // primitives can start work against the forked state
+    hooks: new Set(),
+  };
+}
+
+// State of the default runtime
+export const transitions = createTransitionState();
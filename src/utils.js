@@ -1,76 +1,32 @@
-export class ComputationQueue {
-  constructor() {
-    this.queue = [];
-    this.seen = new Set();
-  }
-
-  add(computation, priority = 0) {
-    if (this.seen.has(computation) || computation.flags & DISPOSED) return;
-    this.seen.add(computation);
-
-    // Insert maintaining sort by priority (lower runs first)
-    let i = this.queue.length;
-    while (i > 0 && this.queue[i - 1].priority > priority) {
-      i--;
-    }
-    this.queue.splice(i, 0, { computation, priority });
-  }
-
-  next() {
-    if (this.queue.length === 0) return null;
-    return this.queue.shift().computation;
-  }
-
-  get isEmpty() {
-    return this.queue.length === 0;
-  }
-
-  clear() {
-    this.queue.length = 0;
-    this.seen.clear();
-  }
+// Records that a computation read a source (signal or computed) at its
+// current version
+export function subscribe(computation, source) {
+  (source.subs || (source.subs = new Set())).add(computation);
+  computation.deps.set(source, source.version);
 }
 
-// Topological sort for dependency resolution
-export function topologicalSort(computations) {
-  const visited = new Set();
-  const visiting = new Set();
-  const result = [];
-
-  function visit(computation) {
-    if (visited.has(computation)) return;
-    if (visiting.has(computation)) return; // Handle cycles gracefully
-
-    visiting.add(computation);
-
-    // For each dependency set
-    const depsIter = computation.deps.values();
-    let depSet;
-    while (!(depSet = depsIter.next()).done) {
-      const deps = depSet.value;
-      if (!deps.owner) continue; // Skip if not owned
-
-      // Visit owner computation
-      if (deps.owner !== computation) {
-        visit(deps.owner);
-      }
-    }
+// Version recorded for a source the running computation has not read again yet
+export const UNREAD = -1;
 
-    visiting.delete(computation);
-    visited.add(computation);
-    result.push(computation);
-  }
-
-  for (let i = 0; i < computations.length; i++) {
-    visit(computations[i]);
-  }
-
-  return result;
+// Marks every source of a computation as unread before it runs again. Sources
+// keep their subscription, so the ones read again cost no resubscription
+export function markDepsUnread(computation) {
+  const deps = computation.deps;
+  const it = deps.keys();
+  let dep;
+  while (!(dep = it.next()).done) deps.set(dep.value, UNREAD);
 }
 
-export function subscribe(computation, subs) {
-  subs.add(computation);
-  computation.deps.add(subs);
+// Unsubscribes a computation from the sources its last run did not read
+export function releaseUnread(computation) {
+  const deps = computation.deps;
+  const it = deps.keys();
+  let dep;
+  while (!(dep = it.next()).done) {
+    if (deps.get(dep.value) !== UNREAD) continue;
+    dep.value.subs?.delete(computation);
+    deps.delete(dep.value);
+  }
 }
 
 export function clearDeps(computation) {
@@ -78,10 +34,36 @@ export function clearDeps(computation) {
   if (!deps.size) return;
 
   // Use an iterator to avoid array allocation
-  const it = deps.values();
+  const it = deps.keys();
   let dep;
   while (!(dep = it.next()).done) {
-    dep.value?.delete?.(computation);
+    dep.value.subs?.delete(computation);
   }
   deps.clear();
 }
+
+// Reads a reactive source: a signal or computed object, or a getter function
+// such as the one returned by `memo`
+export function readSource(source) {
+  return typeof source === "function" ? source() : source.value;
+}
+
+export const hasOwn = (target, key) =>
+  Object.prototype.hasOwnProperty.call(target, key);
+
+// Key of the node tracking which keys an object or array has, used by stores
+// and reactive collections
+export const STRUCTURE = Symbol("tiny-signal.structure");
+
+// Array methods that write several indices
+export const ARRAY_MUTATORS = new Set([
+  "push",
+  "pop",
+  "shift",
+  "unshift",
+  "splice",
+  "sort",
+  "reverse",
+  "fill",
+  "copyWithin",
+]);
@@ -0,0 +1,278 @@
+import { SKIP, signal, batch } from "./signal.js";
+
+/**
+ * A schema describing valid values. Every rule is optional; `null`,
+ * `undefined` and `""` pass all rules except `required`.
+ *
+ * @typedef {Object} Schema
+ * @property {'string'|'number'|'integer'|'boolean'|'object'|'array'} [type]
+ * @property {boolean} [required] - Rejects `null`, `undefined` and `""`
+ * @property {number} [min] - Smallest allowed number
+ * @property {number} [max] - Largest allowed number
+ * @property {number} [minLength] - Shortest allowed string or array
+ * @property {number} [maxLength] - Longest allowed string or array
+ * @property {RegExp} [pattern] - Pattern strings must match
+ * @property {Array<any>} [enum] - Allowed values
+ * @property {Object<string, Schema>} [properties] - Schemas of object keys
+ * @property {Schema} [items] - Schema of every array item
+ * @property {Array<Function>} [rules] - Custom rules; each receives the
+ *   value and returns an error message if it is invalid
+ * @property {Array<Function>} [asyncRules] - Custom rules receiving the value
+ *   and `{ signal, path }`, where `signal` is an `AbortSignal`; each resolves
+ *   to an error message if the value is invalid
+ * @property {Object<string, string>} [messages] - Messages replacing the
+ *   default ones, by rule name
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {Array<string|number>} path - Where the error is, `[]` for the
+ *   value itself
+ * @property {string} rule - Name of the failed rule, `custom` for `rules`
+ *   and `asyncRules`
+ * @property {string} message - Human readable message
+ */
+
+const TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+const MESSAGES = {
+  required: () => "Required",
+  type: (schema) => `Expected ${schema.type}`,
+  min: (schema) => `Must be at least ${schema.min}`,
+  max: (schema) => `Must be at most ${schema.max}`,
+  minLength: (schema) => `Must have a length of at least ${schema.minLength}`,
+  maxLength: (schema) => `Must have a length of at most ${schema.maxLength}`,
+  pattern: () => "Invalid format",
+  enum: (schema) => `Must be one of ${schema.enum.join(", ")}`,
+};
+
+/**
+ * @private
+ * Checks a value against a schema, recursing into object properties and
+ * array items. Synchronous errors are appended to `errors`; asynchronous
+ * rules are appended to `checks` to run later.
+ *
+ * @param {any} value - Value to check
+ * @param {Schema} schema - Schema to check against
+ * @param {Array<string|number>} path - Path of the value
+ * @param {Array<ValidationError>} errors - Collected errors
+ * @param {Array<Object>} checks - Collected asynchronous rules
+ * @returns {void}
+ */
+function check(value, schema, path, errors, checks) {
+  const fail = (rule, message) =>
+    errors.push({
+      path,
+      rule,
+      message: message || schema.messages?.[rule] || MESSAGES[rule](schema),
+    });
+
+  if (value == null || value === "") {
+    if (schema.required) fail("required");
+    return;
+  }
+  if (schema.type && !TYPES[schema.type](value)) return fail("type");
+
+  if (typeof value === "number") {
+    if (schema.min != null && value < schema.min) fail("min");
+    if (schema.max != null && value > schema.max) fail("max");
+  }
+  if (typeof value === "string" || Array.isArray(value)) {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      fail("minLength");
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      fail("maxLength");
+    }
+  }
+  if (schema.pattern && typeof value === "string") {
+    schema.pattern.lastIndex = 0;
+    if (!schema.pattern.test(value)) fail("pattern");
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail("enum");
+
+  if (schema.properties && typeof value === "object") {
+    for (const key of Object.keys(schema.properties)) {
+      check(value[key], schema.properties[key], [...path, key], errors, checks);
+    }
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) =>
+      check(item, schema.items, [...path, index], errors, checks)
+    );
+  }
+
+  for (const rule of schema.rules || []) {
+    const message = rule(value);
+    if (message) fail("custom", message);
+  }
+  for (const rule of schema.asyncRules || []) {
+    checks.push({ rule, value, path });
+  }
+}
+
+/**
+ * @public
+ * Checks a value against a schema. Asynchronous rules are not run.
+ *
+ * @param {any} value - Value to check
+ * @param {Schema} schema - Schema to check against
+ * @returns {Array<ValidationError>} Errors, empty if the value is valid
+ *
+ * @example
+ * validate({ age: -1 }, { properties: { age: { type: "number", min: 0 } } });
+ * // [{ path: ["age"], rule: "min", message: "Must be at least 0" }]
+ */
+export function validate(value, schema) {
+  const errors = [];
+  check(value, schema, [], errors, []);
+  return errors;
+}
+
+/**
+ * @public
+ * Creates a middleware validating signals created with a `schema` option.
+ * Every such signal gets an `errors` signal holding the errors of its latest
+ * write, and a `validating` signal that is true while asynchronous rules run.
+ *
+ * In `reject` mode, writes failing synchronous rules are vetoed and their
+ * errors are reported; the signal keeps its value. In `flag` mode they are
+ * accepted and flagged. A signal may choose its own mode with the
+ * `validationMode` option. Initial values are always accepted.
+ *
+ * Asynchronous rules run once synchronous rules pass. Since the write has
+ * happened by then, their failures are flagged in both modes. A newer write
+ * aborts the checks of the previous one, whose results are then ignored.
+ *
+ * @param {Object} [options={}] - Configuration options
+ * @param {'reject'|'flag'} [options.mode='reject'] - What to do with invalid
+ *   writes
+ * @param {function(any): void} [options.onError] - Receives errors thrown by
+ *   asynchronous rules; defaults to `console.error`
+ * @param {Object} [options.runtime] - Runtime from `createRuntime()` the
+ *   middleware is registered with, which the `errors` and `validating`
+ *   signals belong to; defaults to the top-level exports
+ * @returns {Function & {
+ *   errors(signal: Object): {readonly value: Array<ValidationError>},
+ *   validating(signal: Object): {readonly value: boolean}
+ * }} Middleware with access to the companion signals
+ *
+ * @example
+ * const validation = createSchemaMiddleware({ mode: "flag" });
+ * use(validation);
+ *
+ * const email = signal("", { schema: { required: true, pattern: /@/ } });
+ * effect(() => console.log(validation.errors(email).value));
+ */
+export function createSchemaMiddleware(options = {}) {
+  const {
+    mode = "reject",
+    onError = (err) => console.error("[signal:validation]", err),
+    runtime = { signal, batch },
+  } = options;
+  // Validation state by signal. Set contexts are pooled copies, so they are
+  // matched by the signal they belong to rather than by identity
+  const states = new WeakMap();
+  // Init contexts whose signal did not exist yet when they were created
+  const pending = new Map();
+
+  const resolve = () => {
+    for (const [context, state] of pending) {
+      if (!context.signal) continue;
+      states.set(context.signal, state);
+      pending.delete(context);
+    }
+  };
+
+  const stateOf = (handle) => {
+    resolve();
+    const state = states.get(handle);
+    if (!state) {
+      throw new TypeError("[tiny-signal] Signal has no schema");
+    }
+    return state;
+  };
+
+  const runChecks = (state, checks, errors) => {
+    state.controller?.abort();
+    state.controller = null;
+    if (!checks.length) {
+      runtime.batch(() => {
+        state.errors.value = errors;
+        state.validating.value = false;
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    state.controller = controller;
+    runtime.batch(() => {
+      state.errors.value = errors;
+      state.validating.value = true;
+    });
+
+    const results = checks.map(({ rule, value, path }) =>
+      Promise.resolve()
+        .then(() => rule(value, { signal: controller.signal, path }))
+        .then(
+          (message) => message && { path, rule: "custom", message },
+          (err) => {
+            if (!controller.signal.aborted) onError(err);
+          }
+        )
+    );
+    Promise.all(results).then((failures) => {
+      if (controller.signal.aborted) return;
+      state.controller = null;
+      runtime.batch(() => {
+        state.errors.value = [...errors, ...failures.filter(Boolean)];
+        state.validating.value = false;
+      });
+    });
+  };
+
+  const middleware = (type, value, context) => {
+    if (pending.size) resolve();
+    if (!context.schema || (type !== "init" && type !== "set")) return value;
+
+    const errors = [];
+    const checks = [];
+    check(value, context.schema, [], errors, checks);
+
+    if (type === "init") {
+      const name = context.name || "signal";
+      const state = {
+        errors: runtime.signal(errors, { name: `${name}.errors` }),
+        validating: runtime.signal(false, { name: `${name}.validating` }),
+        controller: null,
+      };
+      pending.set(context, state);
+      if (!errors.length) runChecks(state, checks, errors);
+      return value;
+    }
+
+    const state = states.get(context.signal);
+    if (!state) return value;
+    if (errors.length) {
+      runChecks(state, [], errors);
+      return (context.validationMode || mode) === "reject" ? SKIP : value;
+    }
+    runChecks(state, checks, errors);
+    return value;
+  };
+
+  /** Returns the errors of a signal's latest write */
+  middleware.errors = (handle) => stateOf(handle).errors;
+  /** Returns whether asynchronous rules are running for a signal */
+  middleware.validating = (handle) => stateOf(handle).validating;
+
+  return middleware;
+}
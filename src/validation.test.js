@@ -0,0 +1,219 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { signal, effect, use, createRuntime } from "./signal.js";
+import { validate, createSchemaMiddleware } from "./validation.js";
+
+describe("validate", () => {
+  it("should check types, ranges, lengths, patterns and enums", () => {
+    expect(validate("a", { type: "number" })).toEqual([
+      { path: [], rule: "type", message: "Expected number" },
+    ]);
+    expect(validate(1.5, { type: "integer" })[0].rule).toBe("type");
+    expect(validate(5, { min: 1, max: 3 })[0].rule).toBe("max");
+    expect(validate(0, { min: 1, max: 3 })[0].rule).toBe("min");
+    expect(validate("ab", { minLength: 3 })[0].rule).toBe("minLength");
+    expect(validate([1, 2], { maxLength: 1 })[0].rule).toBe("maxLength");
+    expect(validate("abc", { pattern: /^\d+$/ })[0].rule).toBe("pattern");
+    expect(validate("c", { enum: ["a", "b"] })[0].message).toBe(
+      "Must be one of a, b"
+    );
+    expect(validate(2, { type: "number", min: 1, max: 3 })).toEqual([]);
+  });
+
+  it("should only reject empty values when required", () => {
+    const schema = { type: "string", pattern: /@/ };
+    expect(validate(undefined, schema)).toEqual([]);
+    expect(validate("", schema)).toEqual([]);
+    expect(validate("", { ...schema, required: true })).toEqual([
+      { path: [], rule: "required", message: "Required" },
+    ]);
+  });
+
+  it("should validate nested objects and arrays with paths", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        name: { type: "string", required: true },
+        tags: { type: "array", items: { type: "string", minLength: 2 } },
+      },
+    };
+    expect(validate({ tags: ["ok", "x"] }, schema)).toEqual([
+      { path: ["name"], rule: "required", message: "Required" },
+      {
+        path: ["tags", 1],
+        rule: "minLength",
+        message: "Must have a length of at least 2",
+      },
+    ]);
+  });
+
+  it("should run custom rules and use custom messages", () => {
+    const schema = {
+      required: true,
+      messages: { required: "Enter a password" },
+      rules: [(value) => value === "password" && "Too easy"],
+    };
+    expect(validate("", schema)[0].message).toBe("Enter a password");
+    expect(validate("password", schema)).toEqual([
+      { path: [], rule: "custom", message: "Too easy" },
+    ]);
+    expect(validate("s3cret!", schema)).toEqual([]);
+  });
+});
+
+describe("schema middleware", () => {
+  let remove;
+  afterEach(() => remove?.());
+
+  function setup(options) {
+    const validation = createSchemaMiddleware(options);
+    remove = use(validation);
+    return validation;
+  }
+
+  it("should reject invalid writes and report their errors", () => {
+    const validation = setup();
+    const age = signal(20, { schema: { type: "number", min: 0 } });
+    const errors = validation.errors(age);
+    expect(errors.value).toEqual([]);
+
+    age.value = -1;
+    expect(age.value).toBe(20);
+    expect(errors.value).toEqual([
+      { path: [], rule: "min", message: "Must be at least 0" },
+    ]);
+
+    age.value = 30;
+    expect(age.value).toBe(30);
+    expect(errors.value).toEqual([]);
+  });
+
+  it("should accept and flag invalid values in flag mode", () => {
+    const validation = setup({ mode: "flag" });
+    const email = signal("", { schema: { required: true, pattern: /@/ } });
+    const seen = [];
+    effect(() => {
+      seen.push(validation.errors(email).value.map((e) => e.rule));
+    });
+
+    email.value = "ada";
+    expect(email.value).toBe("ada");
+    email.value = "ada@example.com";
+    expect(seen).toEqual([["required"], ["pattern"], []]);
+  });
+
+  it("should let signals choose their mode", () => {
+    setup({ mode: "flag" });
+    const strict = signal(1, {
+      schema: { type: "number" },
+      validationMode: "reject",
+    });
+    strict.value = "x";
+    expect(strict.value).toBe(1);
+  });
+
+  it("should keep the state of each signal apart", () => {
+    const schema = { type: "number", min: 0 };
+    const before = signal(1, { schema });
+    const validation = setup();
+    const after = signal(1, { schema });
+
+    after.value = 2;
+    before.value = -5; // Created before the middleware, so never validated
+    expect(before.value).toBe(-5);
+    expect(validation.errors(after).value).toEqual([]);
+  });
+
+  it("should create the companion signals on the given runtime", () => {
+    const runtime = createRuntime();
+    const validation = createSchemaMiddleware({ runtime });
+    remove = runtime.use(validation);
+    const age = runtime.signal(1, { schema: { min: 0 } });
+    const seen = [];
+    runtime.effect(() => {
+      seen.push(validation.errors(age).value.length);
+    });
+
+    age.value = -1;
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it("should throw for signals without a schema", () => {
+    const validation = setup();
+    expect(() => validation.errors(signal(0))).toThrow(TypeError);
+  });
+
+  it("should run async rules and flag their failures", async () => {
+    const validation = setup();
+    const taken = new Set(["ada"]);
+    const username = signal("grace", {
+      schema: {
+        type: "string",
+        asyncRules: [async (name) => taken.has(name) && "Already taken"],
+      },
+    });
+    const validating = validation.validating(username);
+    const errors = validation.errors(username);
+
+    expect(validating.value).toBe(true);
+    await vi.waitFor(() => expect(validating.value).toBe(false));
+    expect(errors.value).toEqual([]);
+
+    username.value = "ada";
+    expect(username.value).toBe("ada");
+    expect(validating.value).toBe(true);
+    await vi.waitFor(() => expect(validating.value).toBe(false));
+    expect(errors.value).toEqual([
+      { path: [], rule: "custom", message: "Already taken" },
+    ]);
+  });
+
+  it("should skip async rules while sync rules fail", () => {
+    const validation = setup({ mode: "flag" });
+    const rule = vi.fn(async () => null);
+    const s = signal(1, { schema: { min: 0, asyncRules: [rule] } });
+    rule.mockClear();
+
+    s.value = -1;
+    expect(rule).not.toHaveBeenCalled();
+    expect(validation.validating(s).value).toBe(false);
+  });
+
+  it("should abort stale async checks", async () => {
+    const validation = setup();
+    const aborted = [];
+    const resolvers = [];
+    const rule = (value, { signal }) => {
+      signal.addEventListener("abort", () => aborted.push(value));
+      return new Promise((resolve) => resolvers.push(resolve));
+    };
+    const s = signal("a", { schema: { asyncRules: [rule] } });
+    await vi.waitFor(() => expect(resolvers).toHaveLength(1));
+
+    s.value = "b";
+    await vi.waitFor(() => expect(resolvers).toHaveLength(2));
+    expect(aborted).toEqual(["a"]);
+
+    // The stale check finishing late is ignored
+    resolvers[0]("Bad a");
+    resolvers[1](null);
+    const validating = validation.validating(s);
+    await vi.waitFor(() => expect(validating.value).toBe(false));
+    expect(validation.errors(s).value).toEqual([]);
+  });
+
+  it("should report errors thrown by async rules", async () => {
+    const onError = vi.fn();
+    const validation = setup({ onError });
+    const s = signal(0, {
+      schema: {
+        asyncRules: [
+          async () => {
+            throw new Error("offline");
+          },
+        ],
+      },
+    });
+    await vi.waitFor(() => expect(validation.validating(s).value).toBe(false));
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+  });
+});
@@ -8,5 +8,9 @@ export default defineConfig({
       fileName: "index",
       formats: ["es"],
     },
+    rollupOptions: {
+      // Node built-ins are loaded on demand by the file storage adapter
+      external: [/^node:/],
+    },
   },
 });